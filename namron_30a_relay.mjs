@@ -4,13 +4,13 @@
 import reporting from 'zigbee-herdsman-converters/lib/reporting';
 import * as exposes from 'zigbee-herdsman-converters/lib/exposes';
 import * as m from 'zigbee-herdsman-converters/lib/modernExtend';
+import {logger as zhcLogger} from 'zigbee-herdsman-converters/lib/logger';
 import zcl from 'zigbee-herdsman/dist/zspec/zcl/index.js';
-const {DataType} = zcl;
+const {DataType, Status} = zcl;
 
 const e = exposes.presets;
 const ea = exposes.access;
 
-const hasAny = (obj, keys) => keys.some((k) => Object.prototype.hasOwnProperty.call(obj, k));
 const pickKey = (obj, keys) => keys.find((k) => Object.prototype.hasOwnProperty.call(obj, k));
 const invertMap = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [v, k]));
 const parseEnumValue = (value, map, label) => {
@@ -26,11 +26,16 @@ const parseEnumValue = (value, map, label) => {
     }
     throw new Error(`[Namron4512785] invalid ${label}: ${value}`);
 };
-const parseNumeric = (value, label, scale = 1) => {
+const parseNumeric = (value, label, scale = 1, range = {}) => {
     if (value === undefined || value === null) throw new Error(`[Namron4512785] missing value for ${label}`);
     const num = Number(value);
     if (!Number.isFinite(num)) throw new Error(`[Namron4512785] invalid ${label}: ${value}`);
-    const raw = Math.round(num * scale);
+    if ((range.min !== undefined && num < range.min) || (range.max !== undefined && num > range.max)) {
+        throw new Error(`[Namron4512785] ${label} out of range (${range.min} to ${range.max}): ${value}`);
+    }
+    // Rounded to the published step, so the state returned by a set matches what the device reports back
+    const rawStep = Math.max(Math.round((range.step ?? 0) * scale), 1);
+    const raw = Math.round((num * scale) / rawStep) * rawStep;
     if (scale === 1) {
         return {raw, text: raw};
     }
@@ -40,7 +45,10 @@ const parseNumeric = (value, label, scale = 1) => {
     return {raw, text: friendly};
 };
 
-const PRIVATE_CLUSTER_ID = 0x04E0;
+// 0x0006 On Time / Off Wait Time: uint16 in 1/10 s
+const ON_TIME_RANGE = {min: 0, max: 6553.5, step: 0.1};
+// 0x0002 Low/High Temp Threshold: ZCL device temperature range (-200 to +200°C), int16 at /10
+const DEVICE_TEMP_THRESHOLD_RANGE = {min: -200, max: 200, step: 0.1};
 const NTC_TYPE_MAP = {
     'None': 0,
     'NTC-10K': 1,
@@ -50,7 +58,6 @@ const NTC_TYPE_MAP = {
     'NTC-33K': 5,
     'NTC-47K': 6,
 };
-const NTC_TYPE_INV = invertMap(NTC_TYPE_MAP);
 const WATER_RELAY_ACTION_MAP = {
     'No action': 0,
     'Water alarm: Turn OFF (restore when dry)': 1,
@@ -60,7 +67,6 @@ const WATER_RELAY_ACTION_MAP = {
     'No water: Turn OFF': 5,
     'No water: Turn ON': 6,
 };
-const WATER_RELAY_ACTION_INV = invertMap(WATER_RELAY_ACTION_MAP);
 const NTC1_OPERATION_MAP = {
     'No action': 0,
     'OFF when hot, ON when cold': 1,
@@ -68,7 +74,6 @@ const NTC1_OPERATION_MAP = {
     'OFF when hot (stay off)': 3,
     'ON when hot (stay on)': 4,
 };
-const NTC1_OPERATION_INV = invertMap(NTC1_OPERATION_MAP);
 const NTC2_OPERATION_MAP = {
     'No action': 0,
     'OFF when hot, ON when cold': 1,
@@ -76,34 +81,965 @@ const NTC2_OPERATION_MAP = {
     'OFF when hot (stay off)': 3,
     'ON when hot (stay on)': 4,
 };
-const NTC2_OPERATION_INV = invertMap(NTC2_OPERATION_MAP);
 const OVERRIDE_OPTION_MAP = {
     'No priority': 0,
     'Water alarm has priority': 1,
     'Temperature (NTC) has priority': 2,
 };
-const OVERRIDE_OPTION_INV = invertMap(OVERRIDE_OPTION_MAP);
+
+// Private cluster 0x04E0 ("730 Private Configuration"). One entry per attribute drives the cluster
+// definition, fzLocal.private_04e0_num, the 0x04E0 cases of the get/set converters and the exposes,
+// so a newly discovered attribute only needs a new entry here.
+//   attribute/ID/type: herdsman name (from reference/homey_cluster_snippet.js), attribute ID and ZCL type
+//   scale:  raw = value × scale (numerics); lookup: enum label -> raw; invert: boolean state = !raw
+//   min/max/step: documented range in Z2M units, published in the expose and enforced before writing
+//   access: expose access, ea.SET makes the key writable through tzLocal.set_private_attribute
+// Calibration and hysteresis are int8 tenths of a °C: raw -100 to 100 (scaled x10) per the cluster documentation
+const INT8_TENTHS = {type: DataType.INT8, scale: 10, min: -100 / 10, max: 100 / 10, step: 1 / 10};
+const PRIVATE_ATTRIBUTES = [
+    {
+        key: 'ntc2_temperature', attribute: 'measuredValue2', ID: 0x0000, type: DataType.INT16, scale: 100,
+        access: ea.STATE_GET, unit: '°C', description: 'External NTC2 temperature',
+    },
+    {
+        key: 'ntc1_sensor_type', attribute: 'resistanceValue1', ID: 0x0001, type: DataType.ENUM8, lookup: NTC_TYPE_MAP,
+        access: ea.ALL, description: 'Select NTC probe type for temperature sensor #1',
+    },
+    {
+        key: 'ntc2_sensor_type', attribute: 'resistanceValue2', ID: 0x0002, type: DataType.ENUM8, lookup: NTC_TYPE_MAP,
+        access: ea.ALL, description: 'Select NTC probe type for temperature sensor #2',
+    },
+    {
+        // Water shorts the terminals: raw false = water detected
+        key: 'water_sensor', attribute: 'waterSensorValue', ID: 0x0003, type: DataType.BOOLEAN, invert: true,
+        access: ea.STATE_GET, description: 'External water sensor (true=water detected)',
+    },
+    {
+        key: 'ntc1_calibration', attribute: 'NTCCalibration1', ID: 0x0004, ...INT8_TENTHS,
+        access: ea.ALL, unit: '°C', description: 'Temperature calibration offset for NTC1 (-10.0 to +10.0°C)',
+    },
+    {
+        key: 'ntc2_calibration', attribute: 'NTCCalibration2', ID: 0x0005, ...INT8_TENTHS,
+        access: ea.ALL, unit: '°C', description: 'Temperature calibration offset for NTC2 (-10.0 to +10.0°C)',
+    },
+    {
+        key: 'water_alarm_relay_action', attribute: 'waterAlarmRelayAction', ID: 0x0006, type: DataType.ENUM8,
+        lookup: WATER_RELAY_ACTION_MAP, access: ea.ALL, description: 'How should the relay react when water sensor detects a leak?',
+    },
+    {
+        key: 'ntc1_operation_mode', attribute: 'ntc1OperationSelect', ID: 0x0007, type: DataType.ENUM8, lookup: NTC1_OPERATION_MAP,
+        access: ea.ALL, description: 'How should relay react to NTC1 temperature? (Hot = above threshold, Cold = below threshold)',
+    },
+    {
+        key: 'ntc2_operation_mode', attribute: 'ntc2OperationSelect', ID: 0x0008, type: DataType.ENUM8, lookup: NTC2_OPERATION_MAP,
+        access: ea.ALL, description: 'How should relay react to NTC2 temperature? (Hot = above threshold, Cold = below threshold)',
+    },
+    {
+        key: 'ntc1_relay_auto_temp', attribute: 'ntc1RelayAutoTemp', ID: 0x0009, type: DataType.INT16, scale: 100,
+        min: 0, max: 100, step: 0.1, access: ea.ALL, unit: '°C', description: 'Temperature threshold for NTC1 relay control (0-100°C, works with ntc1_operation_mode)',
+    },
+    {
+        key: 'ntc2_relay_auto_temp', attribute: 'ntc2RelayAutoTemp', ID: 0x000A, type: DataType.INT16, scale: 100,
+        min: 0, max: 100, step: 0.1, access: ea.ALL, unit: '°C', description: 'Temperature threshold for NTC2 relay control (0-100°C, works with ntc2_operation_mode)',
+    },
+    {
+        key: 'override_option', attribute: 'overrideOption', ID: 0x000B, type: DataType.ENUM8, lookup: OVERRIDE_OPTION_MAP,
+        access: ea.ALL, description: 'Which condition wins if both water alarm and temperature trigger at the same time?',
+    },
+    {
+        key: 'ntc1_temp_hysteresis', attribute: 'ntc1TempHysterisis', ID: 0x000C, ...INT8_TENTHS,
+        access: ea.ALL, unit: '°C', description: 'Temperature hysteresis for NTC1 to prevent rapid switching (-10.0 to +10.0°C)',
+    },
+    {
+        key: 'ntc2_temp_hysteresis', attribute: 'ntc2TempHysterisis', ID: 0x000D, ...INT8_TENTHS,
+        access: ea.ALL, unit: '°C', description: 'Temperature hysteresis for NTC2 to prevent rapid switching (-10.0 to +10.0°C)',
+    },
+    {
+        key: 'water_condition_alarm', attribute: 'waterConditionAlarm', ID: 0x000E, type: DataType.BOOLEAN,
+        access: ea.STATE_GET, description: 'Water leak alarm status (true=alarm active)',
+    },
+    {
+        key: 'ntc_condition_alarm', attribute: 'ntcConditionAlarm', ID: 0x000F, type: DataType.BOOLEAN,
+        access: ea.STATE_GET, description: 'NTC temperature alarm status (true=alarm active)',
+    },
+    {
+        key: 'is_execute_condition', attribute: 'isExecuteCondition', ID: 0x0010, type: DataType.BOOLEAN,
+        access: ea.STATE_GET, description: 'Indicates if current conditions will trigger relay action',
+    },
+];
+const PRIVATE_ATTRIBUTE_BY_KEY = Object.fromEntries(PRIVATE_ATTRIBUTES.map((attr) => [attr.key, attr]));
+const isWritable = (attr) => (attr.access & ea.SET) !== 0;
+
+// Raw Zigbee value -> Z2M state value, undefined when the raw value is missing or the int16 "invalid" sentinel
+const decodePrivate = (attr, raw) => {
+    if (raw === undefined || raw === null) return undefined;
+    if (attr.type === DataType.BOOLEAN) return attr.invert ? !raw : !!raw;
+    if (attr.lookup) return invertMap(attr.lookup)[raw] ?? raw;
+    if (typeof raw !== 'number' || (attr.type === DataType.INT16 && (raw === -32768 || raw === 0x8000))) return undefined;
+    return attr.scale === 1 ? raw : Math.round((raw / attr.scale) * 10) / 10;
+};
+// Z2M value -> {raw, text}; throws a [Namron4512785] error for values that must not go on the air
+const encodePrivate = (attr, value) => {
+    if (attr.lookup) return parseEnumValue(value, attr.lookup, attr.key);
+    return parseNumeric(value, attr.key, attr.scale, attr);
+};
+const privateExpose = (attr) => {
+    let expose;
+    if (attr.type === DataType.BOOLEAN) expose = e.binary(attr.key, attr.access, true, false);
+    else if (attr.lookup) expose = e.enum(attr.key, attr.access, Object.keys(attr.lookup));
+    else expose = e.numeric(attr.key, attr.access);
+    if (attr.unit) expose = expose.withUnit(attr.unit);
+    if (attr.min !== undefined) expose = expose.withValueMin(attr.min).withValueMax(attr.max).withValueStep(attr.step);
+    return expose.withDescription(attr.description);
+};
+
+// Application presets: coherent 0x04E0 bundles for common installs, written through importConfig. `probe` is the
+// NTC the preset relies on; its sensor type must be set first, since a wrong curve would misread the temperature the
+// preset switches on. `preset` is published as the matching name, or `custom` once the live settings match none of them.
+const PRESETS = {
+    floor_heating: {
+        probe: 'ntc1',
+        settings: {
+            ntc1_operation_mode: 'OFF when hot, ON when cold', ntc1_relay_auto_temp: 27, ntc1_temp_hysteresis: 1,
+            ntc2_operation_mode: 'No action', water_alarm_relay_action: 'No action',
+            override_option: 'Temperature (NTC) has priority',
+        },
+    },
+    frost_guard: {
+        probe: 'ntc1',
+        settings: {
+            ntc1_operation_mode: 'OFF when hot, ON when cold', ntc1_relay_auto_temp: 5, ntc1_temp_hysteresis: 2,
+            ntc2_operation_mode: 'No action', water_alarm_relay_action: 'No action',
+            override_option: 'Temperature (NTC) has priority',
+        },
+    },
+    water_heater: {
+        probe: 'ntc1',
+        settings: {
+            ntc1_operation_mode: 'OFF when hot (stay off)', ntc1_relay_auto_temp: 85, ntc1_temp_hysteresis: 5,
+            ntc2_operation_mode: 'No action', water_alarm_relay_action: 'No action',
+            override_option: 'Temperature (NTC) has priority',
+        },
+    },
+    leak_shutoff: {
+        settings: {
+            ntc1_operation_mode: 'No action', ntc2_operation_mode: 'No action',
+            water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)', override_option: 'Water alarm has priority',
+        },
+    },
+};
+const PRESET_KEYS = [...new Set(Object.values(PRESETS).flatMap(({settings}) => Object.keys(settings)))];
+// Name of the preset the state matches, 'custom' if none, undefined while settings are still unknown
+const matchPreset = (state) => {
+    if (PRESET_KEYS.some((key) => state[key] === undefined)) return undefined;
+    const found = Object.entries(PRESETS).find(([, {probe, settings}]) =>
+        (!probe || state[`${probe}_sensor_type`] !== 'None') &&
+        Object.entries(settings).every(([key, value]) => state[key] === value));
+    return found ? found[0] : 'custom';
+};
+// {preset} when `changed` touches a preset setting and the merged state is known, else {}
+const presetState = (state, changed) => {
+    if (!Object.keys(changed).some((key) => PRESET_KEYS.includes(key) || key.endsWith('_sensor_type'))) return {};
+    const preset = matchPreset({...state, ...changed});
+    return preset ? {preset} : {};
+};
+
+// Registered by name so that reports, reads, writes and configureReporting all use attribute names
+// instead of bare numeric IDs.
+const PRIVATE_CLUSTER = 'switchUserInterfaceConfiguration';
+const PRIVATE_CLUSTER_DEFINITION = {
+    name: PRIVATE_CLUSTER,
+    ID: 0x04E0,
+    attributes: Object.fromEntries(PRIVATE_ATTRIBUTES.map((attr) => [
+        attr.attribute,
+        {name: attr.attribute, ID: attr.ID, type: attr.type, ...(isWritable(attr) ? {write: true} : {})},
+    ])),
+    commands: {
+        setClear: {name: 'setClear', ID: 0x0000, parameters: []},
+    },
+    commandsResponse: {},
+};
+// Definition-level configure runs before the extend configures, so configure() registers the
+// cluster itself as well before touching it.
+const addPrivateCluster = (device) => device.addCustomCluster(PRIVATE_CLUSTER, PRIVATE_CLUSTER_DEFINITION);
+
+// The logger passed in when it is one (configure of older zhc versions), else the zhc logger Z2M installs: converter
+// and event `meta` carry none, so converters, timers and onEvent call mkLogger() without an argument
+const LOG_NS = 'zhc:namron4512785';
 const mkLogger = (logger) => ({
     info: (msg) => {
         if (logger && typeof logger.info === 'function') return logger.info(msg);
         if (logger && typeof logger.log === 'function') return logger.log(msg);
-        // eslint-disable-next-line no-console
-        console.warn(msg);
+        zhcLogger.info(msg, LOG_NS);
     },
     warn: (msg) => {
         if (logger && typeof logger.warn === 'function') return logger.warn(msg);
         if (logger && typeof logger.log === 'function') return logger.log(msg);
-        // eslint-disable-next-line no-console
-        console.warn(msg);
+        zhcLogger.warning(msg, LOG_NS);
     },
     error: (msg) => {
         if (logger && typeof logger.error === 'function') return logger.error(msg);
         if (logger && typeof logger.log === 'function') return logger.log(msg);
-        // eslint-disable-next-line no-console
-        console.warn(msg);
+        zhcLogger.error(msg, LOG_NS);
     },
 });
 
+// Per-device runtime state that must not be persisted (timers, last readings); survives converter reloads
+const deviceRuntime = (ieeeAddr) => {
+    const store = globalThis.__namron4512785_runtime__ = globalThis.__namron4512785_runtime__ || new Map();
+    if (!store.has(ieeeAddr)) store.set(ieeeAddr, {});
+    return store.get(ieeeAddr);
+};
+
+// Software overload protection (max_current / max_power / overload_delay options) for loads the firmware
+// doesn't guard. A trip switches the relay off and latches in device.meta until overload_reset.
+const OVERLOAD_DEFAULT_DELAY = 10; // s
+const overloadSettings = (options = {}) => {
+    const maxCurrent = Number(options.max_current);
+    const maxPower = Number(options.max_power);
+    const delay = Number(options.overload_delay);
+    return {
+        maxCurrent: Number.isFinite(maxCurrent) && maxCurrent > 0 ? maxCurrent : undefined,
+        maxPower: Number.isFinite(maxPower) && maxPower > 0 ? maxPower : undefined,
+        delay: Number.isFinite(delay) && delay >= 0 ? delay : OVERLOAD_DEFAULT_DELAY,
+    };
+};
+const overloadReason = (runtime, settings) => {
+    if (settings.maxCurrent !== undefined && runtime.current > settings.maxCurrent) {
+        return `current ${runtime.current} A above max_current ${settings.maxCurrent} A`;
+    }
+    if (settings.maxPower !== undefined && runtime.power > settings.maxPower) {
+        return `power ${runtime.power} W above max_power ${settings.maxPower} W`;
+    }
+};
+const tripOverload = (device, endpoint, reason, publish) => {
+    device.meta.overload = {tripped: true, reason, at: new Date().toISOString()};
+    device.save?.();
+    publish({overload_tripped: true, overload_reason: reason});
+    endpoint.command('genOnOff', 'off', {}).catch((err) => {
+        mkLogger().error(`[Namron4512785] overload cut-off failed for ${device.ieeeAddr}: ${err}`);
+    });
+};
+// Called with every electrical reading: arms a timer when a limit is exceeded and trips if it still is
+// after overload_delay; a reading back under the limits disarms it.
+const checkOverload = (msg, publish, options, readings) => {
+    const device = msg.device;
+    const settings = overloadSettings(options);
+    if (!device || (settings.maxCurrent === undefined && settings.maxPower === undefined)) return;
+    const runtime = deviceRuntime(device.ieeeAddr);
+    Object.assign(runtime, readings);
+    if (device.meta?.overload?.tripped) return;
+
+    if (!overloadReason(runtime, settings)) {
+        clearTimeout(runtime.overloadTimer);
+        runtime.overloadTimer = undefined;
+        return;
+    }
+    if (runtime.overloadTimer) return;
+    const evaluate = () => {
+        runtime.overloadTimer = undefined;
+        const reason = overloadReason(runtime, settings);
+        if (reason && !device.meta?.overload?.tripped) tripOverload(device, msg.endpoint, reason, publish);
+    };
+    if (settings.delay === 0) evaluate();
+    else runtime.overloadTimer = setTimeout(evaluate, settings.delay * 1000);
+};
+
+// Energy accounting: per-period counters accumulated from successive currentSummDelivered readings and
+// persisted in device.meta.energy_accounting so they survive Z2M restarts. Periods roll over at local
+// midnight and on the 1st of the month; a counter going backwards (reset/wraparound) only re-baselines.
+const localDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const localMonth = (date) => localDay(date).slice(0, 7);
+const round2 = (value) => Math.round(value * 100) / 100;
+const updateEnergyAccounting = (device, energy, now = new Date()) => {
+    const acc = device.meta.energy_accounting ?? {today: 0, yesterday: 0, this_month: 0, last_month: 0};
+    const day = localDay(now);
+    const month = localMonth(now);
+    const before = JSON.stringify(acc);
+
+    if (acc.day !== undefined && acc.day !== day) {
+        acc.yesterday = acc.day === localDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1)) ? acc.today : 0;
+        acc.today = 0;
+    }
+    if (acc.month !== undefined && acc.month !== month) {
+        acc.last_month = acc.month === localMonth(new Date(now.getFullYear(), now.getMonth() - 1, 1)) ? acc.this_month : 0;
+        acc.this_month = 0;
+    }
+    acc.day = day;
+    acc.month = month;
+
+    const delta = acc.last === undefined ? 0 : energy - acc.last;
+    if (delta > 0) {
+        acc.today = round2(acc.today + delta);
+        acc.this_month = round2(acc.this_month + delta);
+    }
+    acc.last = energy;
+
+    if (JSON.stringify(acc) !== before) {
+        device.meta.energy_accounting = acc;
+        device.save?.();
+    }
+    return acc;
+};
+const energyAccountingState = (acc, options = {}) => {
+    const out = {
+        energy_today: acc.today,
+        energy_yesterday: acc.yesterday,
+        energy_this_month: acc.this_month,
+        energy_last_month: acc.last_month,
+    };
+    const price = Number(options.energy_price);
+    if (options.energy_price != null && options.energy_price !== '' && Number.isFinite(price) && price >= 0) {
+        for (const key of Object.keys(out)) out[`${key}_cost`] = round2(out[key] * price);
+    }
+    return out;
+};
+
+// Optional 0x0B04 attributes: only exposed once the capability probe found them (see probeCapabilities)
+const ELECTRICAL_EXTRAS = {
+    reactive_power: {
+        attribute: 0x050E, name: 'reactivePower', unit: 'VAr', description: 'Reactive power',
+    },
+    ac_frequency: {
+        attribute: 0x0300, name: 'acFrequency', unit: 'Hz', description: 'AC mains frequency',
+    },
+};
+// apparent_power / power_factor from the last voltage, current and power cached in device.meta.electrical.
+// Active power clearly above V × A means a scaling is off (that's how the old ÷10 power bug showed up).
+const derivePower = (cache) => {
+    const {voltage, current, power} = cache;
+    if (![voltage, current, power].every((v) => typeof v === 'number')) return {};
+    const apparent = Math.round(voltage * current * 10) / 10;
+    const out = {apparent_power: apparent, measurement_inconsistent: power > apparent * 1.1 + 10};
+    if (apparent > 0) out.power_factor = Math.round(Math.min(Math.max(power, 0) / apparent, 1) * 100) / 100;
+    return out;
+};
+
+// Where each state key is read from; shared by polling and capability probing
+const ATTRIBUTE_TARGETS = {
+    state: {cluster: 'genOnOff', attribute: 0x0000},
+    on_time: {cluster: 'genOnOff', attribute: 0x4001},
+    off_wait_time: {cluster: 'genOnOff', attribute: 0x4002},
+    device_temperature: {cluster: 'genDeviceTempCfg', attribute: 0x0000},
+    device_temp_low_alarm: {cluster: 'genDeviceTempCfg', attribute: 0x0010},
+    device_temp_high_alarm: {cluster: 'genDeviceTempCfg', attribute: 0x0010},
+    device_temp_low_threshold: {cluster: 'genDeviceTempCfg', attribute: 0x0011},
+    device_temp_high_threshold: {cluster: 'genDeviceTempCfg', attribute: 0x0012},
+    ntc1_temperature: {cluster: 'msTemperatureMeasurement', attribute: 0x0000},
+    voltage: {cluster: 'haElectricalMeasurement', attribute: 0x0505},
+    current: {cluster: 'haElectricalMeasurement', attribute: 0x0508},
+    power: {cluster: 'haElectricalMeasurement', attribute: 0x050B},
+    ...Object.fromEntries(Object.entries(ELECTRICAL_EXTRAS).map(([key, {attribute}]) => [key, {cluster: 'haElectricalMeasurement', attribute}])),
+    energy: {cluster: 'seMetering', attribute: 0x0000},
+    ...Object.fromEntries(PRIVATE_ATTRIBUTES.map((attr) => [attr.key, {cluster: PRIVATE_CLUSTER, attribute: attr.attribute}])),
+};
+
+// Capability probing (configure and the reprobe action): every target is read once and the result stored as
+// {key: true|false} in device.meta.capabilities. Only an UNSUPPORTED_* status or a cluster missing from the
+// endpoint marks a key unsupported; a timeout leaves the cluster unknown so a flaky link doesn't hide anything.
+const CLUSTER_IDS = {
+    genOnOff: 0x0006,
+    genDeviceTempCfg: 0x0002,
+    msTemperatureMeasurement: 0x0402,
+    haElectricalMeasurement: 0x0B04,
+    seMetering: 0x0702,
+    [PRIVATE_CLUSTER]: 0x04E0,
+};
+// Exposes computed from other keys are shown when all of their sources are
+const DERIVED_FROM = {
+    apparent_power: ['voltage', 'current'],
+    power_factor: ['voltage', 'current', 'power'],
+    measurement_inconsistent: ['voltage', 'current', 'power'],
+    ntc1_probe_status: ['ntc1_temperature'],
+    ntc2_probe_status: ['ntc2_temperature'],
+    energy_today: ['energy'],
+    energy_yesterday: ['energy'],
+    energy_this_month: ['energy'],
+    energy_last_month: ['energy'],
+    energy_today_cost: ['energy'],
+    energy_yesterday_cost: ['energy'],
+    energy_this_month_cost: ['energy'],
+    energy_last_month_cost: ['energy'],
+    last_leak_start: ['water_sensor'],
+    last_leak_duration: ['water_sensor'],
+    last_leak_relay_acted: ['water_sensor'],
+    leak_count: ['water_sensor'],
+    leak_acknowledged: ['water_sensor'],
+    water_sensor_flapping: ['water_sensor'],
+    ntc1_rate: ['ntc1_temperature'],
+    ntc1_min_24h: ['ntc1_temperature'],
+    ntc1_max_24h: ['ntc1_temperature'],
+    ntc2_rate: ['ntc2_temperature'],
+    ntc2_min_24h: ['ntc2_temperature'],
+    ntc2_max_24h: ['ntc2_temperature'],
+};
+// NTC temperatures are hidden while their probe type is "None"; last known types live in device.meta.ntc_sensor_types
+const NTC_SENSOR_TYPE_KEYS = {ntc1_temperature: 'ntc1_sensor_type', ntc2_temperature: 'ntc2_sensor_type'};
+const rememberSensorType = (device, key, value) => {
+    if (!device?.meta || !Object.values(NTC_SENSOR_TYPE_KEYS).includes(key) || value === undefined) return false;
+    if (device.meta.ntc_sensor_types?.[key] === value) return false;
+    device.meta.ntc_sensor_types = {...device.meta.ntc_sensor_types, [key]: value};
+    device.save?.();
+    return true;
+};
+// ntcX_probe_status from the configured type and the reading; a temperature is only published while the probe
+// is ok (null otherwise). Thermistors can't read outside NTC_VALID_RANGE: an open wire reads extremely cold (or
+// the int16 invalid sentinel), a shorted one extremely hot.
+const NTC_VALID_RANGE = {min: -40, max: 125}; // °C
+const NTC_PROBE_STATUSES = ['ok', 'not_configured', 'open_circuit', 'short_circuit'];
+const ntcProbeState = (n, temperature, device, state) => {
+    const sensorType = device?.meta?.ntc_sensor_types?.[`ntc${n}_sensor_type`] ?? state?.[`ntc${n}_sensor_type`];
+    let status = 'ok';
+    if (sensorType === 'None') status = 'not_configured';
+    else if (temperature === undefined || temperature < NTC_VALID_RANGE.min) status = 'open_circuit';
+    else if (temperature > NTC_VALID_RANGE.max) status = 'short_circuit';
+    return {[`ntc${n}_temperature`]: status === 'ok' ? temperature : null, [`ntc${n}_probe_status`]: status};
+};
+// Switching a probe type to "None" invalidates the last temperature right away
+const ntcTypeChangeState = (key, sensorType) => {
+    const n = {ntc1_sensor_type: 1, ntc2_sensor_type: 2}[key];
+    return n && sensorType === 'None' ? {[`ntc${n}_temperature`]: null, [`ntc${n}_probe_status`]: 'not_configured'} : {};
+};
+// NTC trend from the valid readings: ntcX_rate (°C/min) over the last NTC_RATE_WINDOW, ntcX_min_24h / ntcX_max_24h
+// from hourly buckets in device.meta.ntc_history, and rate_of_rise_alarm once rate_of_rise_limit is set.
+const NTC_RATE_WINDOW = 300; // s
+const NTC_RATE_MIN_SPAN = 60; // s, shorter spans are just sensor steps
+const HOUR = 3600000;
+const riseLimit = (options = {}) => {
+    const limit = Number(options.rate_of_rise_limit);
+    return Number.isFinite(limit) && limit > 0 ? limit : undefined;
+};
+const ntcTrendState = (n, temperature, device, options) => {
+    if (!device) return {};
+    const runtime = deviceRuntime(device.ieeeAddr);
+    const probe = `ntc${n}`;
+    runtime.ntcSamples = runtime.ntcSamples ?? {};
+    runtime.riseAlarm = runtime.riseAlarm ?? {};
+    const limit = riseLimit(options);
+    if (temperature === null || temperature === undefined) {
+        // a faulty probe starts over, its last reading says nothing about the next one
+        delete runtime.ntcSamples[probe];
+        delete runtime.riseAlarm[probe];
+        return {};
+    }
+    const now = Date.now();
+    const out = {};
+
+    const samples = (runtime.ntcSamples[probe] ?? []).filter(({at}) => at <= now && now - at <= NTC_RATE_WINDOW * 1000);
+    samples.push({at: now, value: temperature});
+    runtime.ntcSamples[probe] = samples;
+    const span = (now - samples[0].at) / 1000;
+    if (span >= NTC_RATE_MIN_SPAN) {
+        const rate = Math.round(((temperature - samples[0].value) / (span / 60)) * 100) / 100;
+        out[`${probe}_rate`] = rate;
+        runtime.riseAlarm[probe] = limit !== undefined && rate > limit;
+    }
+    if (limit !== undefined) out.rate_of_rise_alarm = Object.values(runtime.riseAlarm).some(Boolean);
+
+    if (device.meta) {
+        const hour = Math.floor(now / HOUR);
+        const history = device.meta.ntc_history ?? {};
+        const buckets = (history[probe] ?? []).filter((b) => b.hour <= hour && hour - b.hour < 24);
+        const current = buckets.find((b) => b.hour === hour);
+        const changed = !current || temperature < current.min || temperature > current.max;
+        if (!current) buckets.push({hour, min: temperature, max: temperature});
+        else if (changed) Object.assign(current, {min: Math.min(current.min, temperature), max: Math.max(current.max, temperature)});
+        device.meta.ntc_history = {...history, [probe]: buckets};
+        if (changed) device.save?.();
+        out[`${probe}_min_24h`] = Math.min(...buckets.map((b) => b.min));
+        out[`${probe}_max_24h`] = Math.max(...buckets.map((b) => b.max));
+    }
+    return out;
+};
+// Without a real device (docs and frontend preview pass none or a dummy one) everything is shown; before the
+// first probe only the optional 0x0B04 attributes are hidden.
+const isExposed = (device, key) => {
+    if (!device || device.isDummyDevice) return true;
+    const sensorType = NTC_SENSOR_TYPE_KEYS[key];
+    if (sensorType && device.meta?.ntc_sensor_types?.[sensorType] === 'None') return false;
+    const capabilities = device.meta?.capabilities ?? {};
+    return (DERIVED_FROM[key] ?? [key]).every((dep) => capabilities[dep] ?? !ELECTRICAL_EXTRAS[dep]);
+};
+const isUnsupportedError = (err) => /UNSUPPORTED/.test(String(err?.message ?? err));
+const probeCapabilities = async (device, endpoint, L) => {
+    const results = new Map(); // 'cluster:attribute' -> supported
+    const unreachable = new Set();
+    const capabilities = {};
+    // 0x04E0 goes out in as few frames as fit (readPrivateAttributes); only when the firmware rejects an attribute of
+    // the batch are its keys read one by one below
+    if (!Array.isArray(endpoint.inputClusters) || endpoint.inputClusters.includes(CLUSTER_IDS[PRIVATE_CLUSTER])) {
+        try {
+            const raw = await readPrivateAttributes(endpoint, PRIVATE_ATTRIBUTES.map((attr) => attr.key));
+            for (const attr of PRIVATE_ATTRIBUTES.filter(({key}) => key in raw)) {
+                results.set(`${PRIVATE_CLUSTER}:${attr.attribute}`, true);
+                rememberSensorType(device, attr.key, decodePrivate(attr, raw[attr.key]));
+            }
+        } catch (err) {
+            if (!isUnsupportedError(err)) {
+                unreachable.add(PRIVATE_CLUSTER);
+                L.warn(`[Namron4512785] probe of ${PRIVATE_CLUSTER} failed, capabilities left unknown: ${err}`);
+            }
+        }
+    }
+    for (const [key, {cluster, attribute}] of Object.entries(ATTRIBUTE_TARGETS)) {
+        const id = `${cluster}:${attribute}`;
+        if (!results.has(id) && !unreachable.has(cluster)) {
+            if (Array.isArray(endpoint.inputClusters) && !endpoint.inputClusters.includes(CLUSTER_IDS[cluster])) {
+                results.set(id, false);
+            } else {
+                try {
+                    const res = await endpoint.read(cluster, [attribute]);
+                    results.set(id, true);
+                    const attr = PRIVATE_ATTRIBUTE_BY_KEY[key];
+                    if (attr && res && attr.attribute in res) rememberSensorType(device, key, decodePrivate(attr, res[attr.attribute]));
+                } catch (err) {
+                    if (isUnsupportedError(err)) {
+                        results.set(id, false);
+                    } else {
+                        unreachable.add(cluster);
+                        L.warn(`[Namron4512785] probe of ${cluster} failed, capabilities left unknown: ${err}`);
+                    }
+                }
+            }
+        }
+        if (results.has(id)) capabilities[key] = results.get(id);
+    }
+    const unsupported = Object.keys(capabilities).filter((key) => !capabilities[key]);
+    L.info(`[Namron4512785] probed capabilities, unsupported: ${unsupported.join(', ') || 'none'}`);
+    device.meta.capabilities = capabilities;
+    device.save?.();
+    return capabilities;
+};
+
+// Batched 0x04E0 reads/writes: all keys of one Z2M payload go out together, split only where a frame would
+// exceed ZCL_PAYLOAD_BUDGET (ZCL payload bytes that still fit an unfragmented frame next to the ZCL/APS/NWK
+// headers and security overhead).
+const ZCL_PAYLOAD_BUDGET = 64;
+const DATA_TYPE_SIZE = {[DataType.BOOLEAN]: 1, [DataType.ENUM8]: 1, [DataType.INT8]: 1, [DataType.INT16]: 2};
+const READ_RECORD_HEADER = 4; // read response record: attribute ID, status, data type
+const WRITE_RECORD_HEADER = 3; // write record: attribute ID, data type
+const chunkByFrame = (items, recordSize) => {
+    const chunks = [];
+    let size = Infinity;
+    for (const item of items) {
+        if (size + recordSize(item) > ZCL_PAYLOAD_BUDGET) {
+            chunks.push([]);
+            size = 0;
+        }
+        chunks[chunks.length - 1].push(item);
+        size += recordSize(item);
+    }
+    return chunks;
+};
+// Raw values by key; a failing frame throws naming its keys
+const readPrivateAttributes = async (entity, keys) => {
+    const attrs = keys.map((key) => PRIVATE_ATTRIBUTE_BY_KEY[key]);
+    const raw = {};
+    for (const chunk of chunkByFrame(attrs, (attr) => READ_RECORD_HEADER + DATA_TYPE_SIZE[attr.type])) {
+        let res;
+        try {
+            res = await entity.read(PRIVATE_CLUSTER, chunk.map((attr) => attr.attribute));
+        } catch (err) {
+            throw new Error(`Failed to read ${chunk.map((attr) => attr.key).join(', ')}: ${err.message}`);
+        }
+        for (const attr of chunk) {
+            if (res && Object.prototype.hasOwnProperty.call(res, attr.attribute)) raw[attr.key] = res[attr.attribute];
+        }
+    }
+    return raw;
+};
+// entries: [{attr, raw}]. Returns {key: reason} for every attribute the device refused, taken from the per-record
+// status of the write response (endpoint.write would only throw the first failure).
+const writePrivate = async (entity, entries) => {
+    const failures = {};
+    for (const chunk of chunkByFrame(entries, ({attr}) => WRITE_RECORD_HEADER + DATA_TYPE_SIZE[attr.type])) {
+        const payload = Object.fromEntries(chunk.map(({attr, raw}) => [attr.attribute, raw]));
+        try {
+            if (typeof entity.zclCommand !== 'function') {
+                // Groups: no write response to inspect
+                await entity.write(PRIVATE_CLUSTER, payload);
+                continue;
+            }
+            const records = chunk.map(({attr, raw}) => ({attrId: attr.ID, attrData: raw, dataType: attr.type}));
+            const frame = await entity.zclCommand(PRIVATE_CLUSTER, 'write', records, {}, payload);
+            for (const {status, attrId} of frame?.payload ?? []) {
+                if (status === Status.SUCCESS) continue;
+                for (const {attr} of chunk) {
+                    if (attrId === undefined || attrId === attr.ID) failures[attr.key] = Status[status] ?? `status ${status}`;
+                }
+            }
+        } catch (err) {
+            for (const {attr} of chunk) failures[attr.key] = err.message;
+        }
+    }
+    return failures;
+};
+// Refresh of PRIVATE_ATTRIBUTES keys. Z2M calls each converter once per message, so every 0x04E0 key of a /get
+// is read by whichever private converter comes first; the other one finds the message already handled.
+const batchedGets = new WeakSet();
+const readPrivate = async (entity, key, meta) => {
+    const message = meta?.message;
+    if (message && typeof message === 'object') {
+        if (batchedGets.has(message)) return;
+        batchedGets.add(message);
+    }
+    let keys = Object.keys(message ?? {}).filter((k) => PRIVATE_ATTRIBUTE_BY_KEY[k]);
+    if (!keys.includes(key)) keys = [key];
+    const raw = await readPrivateAttributes(entity, keys);
+    const state = {};
+    for (const k of keys) {
+        if (!(k in raw)) continue;
+        const value = decodePrivate(PRIVATE_ATTRIBUTE_BY_KEY[k], raw[k]);
+        if (k === 'ntc2_temperature') Object.assign(state, ntcProbeState(2, value, meta?.device, meta?.state));
+        else if (value !== undefined) state[k] = value;
+    }
+    if (Object.keys(state).length) return {state};
+};
+
+// Write verification and drift detection. Every successful 0x04E0 settings write is remembered in Z2M units in
+// device.meta.intended_config; whenever those settings come back (read-back, drift check, report) they are
+// compared with it, the differing keys kept in device.meta.config_drift and, with drift_auto_reapply, written again.
+const DRIFT_DEFAULT_INTERVAL = 3600; // s
+const DRIFT_MIN_INTERVAL = 60; // s
+const driftSettings = (options = {}) => {
+    const interval = Number(options.drift_check_interval ?? DRIFT_DEFAULT_INTERVAL);
+    return {
+        // 0 (or an invalid value below the minimum) disables the periodic check
+        interval: Number.isFinite(interval) && interval >= DRIFT_MIN_INTERVAL ? interval : 0,
+        reapply: options.drift_auto_reapply === true,
+    };
+};
+// writePrivate plus what every settings write shares: intended_config and, with verify_writes, a read-back whose
+// mismatches are reported like refused attributes
+const applyPrivate = async (entity, entries, meta) => {
+    const failures = await writePrivate(entity, entries);
+    const written = entries.filter(({attr}) => !failures[attr.key]);
+    if (!written.length) return failures;
+    const device = meta.device;
+    if (device?.meta) {
+        device.meta.intended_config = {
+            ...device.meta.intended_config,
+            // decoded from raw like a report, so the comparison in updateConfigDrift can't differ by rounding
+            ...Object.fromEntries(written.map(({attr, raw}) => [attr.key, decodePrivate(attr, raw)])),
+        };
+        device.save?.();
+    }
+    if (meta.options?.verify_writes) {
+        try {
+            const actual = await readPrivateAttributes(entity, written.map(({attr}) => attr.key));
+            for (const {attr, raw} of written) {
+                if (actual[attr.key] !== raw) failures[attr.key] = `read back ${actual[attr.key]} instead of ${raw}`;
+            }
+        } catch (err) {
+            for (const {attr} of written) failures[attr.key] = `not verified (${err.message})`;
+        }
+    }
+    return failures;
+};
+const driftState = (drifted) => ({config_drift: drifted.length > 0, config_drift_keys: drifted.join(', ')});
+// drift_auto_reapply attempts per key in deviceRuntime().reapply: {pending, attempts, next}. One write in flight per
+// key, and the next one not before DRIFT_MIN_INTERVAL, doubling per attempt up to DRIFT_DEFAULT_INTERVAL, so a device
+// that keeps refusing (or reverting) a value isn't written on every report. Reset once the key matches again.
+const reapplyBackoff = (attempts) => Math.min(DRIFT_MIN_INTERVAL * 2 ** (attempts - 1), DRIFT_DEFAULT_INTERVAL) * 1000;
+// Called by fromZigbee with the decoded settings of a report/readResponse
+const updateConfigDrift = (device, endpoint, received, options, publish) => {
+    const intended = device?.meta?.intended_config;
+    if (!intended) return {};
+    const keys = Object.keys(received).filter((key) => key in intended);
+    if (!keys.length) return {};
+    const runtime = deviceRuntime(device.ieeeAddr);
+    runtime.reapply = runtime.reapply ?? {};
+    const drifted = new Set(device.meta.config_drift);
+    for (const key of keys) {
+        if (received[key] === intended[key]) {
+            drifted.delete(key);
+            delete runtime.reapply[key];
+        } else {
+            drifted.add(key);
+        }
+    }
+    const previous = device.meta.config_drift ?? [];
+    device.meta.config_drift = [...drifted];
+    if (previous.join() !== device.meta.config_drift.join()) device.save?.();
+
+    const now = Date.now();
+    const reapply = keys.filter((key) => drifted.has(key) && !runtime.reapply[key]?.pending && now >= (runtime.reapply[key]?.next ?? 0));
+    if (reapply.length && driftSettings(options).reapply && endpoint) {
+        const entries = reapply.map((key) => ({attr: PRIVATE_ATTRIBUTE_BY_KEY[key], ...encodePrivate(PRIVATE_ATTRIBUTE_BY_KEY[key], intended[key])}));
+        for (const key of reapply) {
+            const attempts = (runtime.reapply[key]?.attempts ?? 0) + 1;
+            runtime.reapply[key] = {pending: true, attempts, next: now + reapplyBackoff(attempts)};
+        }
+        const settle = (failures) => {
+            for (const key of reapply) if (runtime.reapply[key]) runtime.reapply[key].pending = false;
+            const failed = Object.entries(failures);
+            if (failed.length) {
+                mkLogger().warn(`[Namron4512785] drift re-apply failed on ${device.ieeeAddr}: ` +
+                    `${failed.map(([key, reason]) => `${key} (${reason})`).join(', ')}`);
+            }
+            const restored = entries.filter(({attr}) => !failures[attr.key]);
+            if (!restored.length) return;
+            device.meta.config_drift = device.meta.config_drift.filter((key) => !restored.some(({attr}) => attr.key === key));
+            device.save?.();
+            publish?.({...Object.fromEntries(restored.map(({attr, text}) => [attr.key, text])), ...driftState(device.meta.config_drift)});
+        };
+        writePrivate(endpoint, entries).then(settle, (err) => settle(Object.fromEntries(reapply.map((key) => [key, err.message]))));
+    }
+    return driftState(device.meta.config_drift);
+};
+// Periodic check: reads the intended settings back; the readResponse runs through fromZigbee -> updateConfigDrift
+const checkDrift = async (device) => {
+    const keys = Object.keys(device.meta?.intended_config ?? {});
+    const endpoint = device.getEndpoint(1);
+    if (!keys.length || !endpoint) return;
+    try {
+        await readPrivateAttributes(endpoint, keys);
+    } catch (err) {
+        // unreachable: try again next interval
+    }
+};
+const stopDriftCheck = (ieeeAddr) => {
+    const runtime = deviceRuntime(ieeeAddr);
+    clearTimeout(runtime.driftTimer);
+    runtime.driftTimer = undefined;
+};
+const scheduleDriftCheck = (device, settings) => {
+    stopDriftCheck(device.ieeeAddr);
+    if (!settings.interval) return;
+    deviceRuntime(device.ieeeAddr).driftTimer = setTimeout(async () => {
+        await checkDrift(device);
+        scheduleDriftCheck(device, settings);
+    }, settings.interval * 1000);
+};
+
+// Leak history in device.meta.leak_history: {count, acknowledged, active: {start, relay, expected}, last, events}.
+// A leak starts when water_sensor turns true and ends when it turns false. A water_condition_alarm that latched
+// without a leak being seen (it came and went between reports/polls) still counts, with an unknown duration.
+// relay_acted compares the relay state during the leak with what water_alarm_relay_action asks for.
+const LEAK_EVENTS_KEPT = 20;
+const LEAK_EXPECTED_RELAY = {
+    'Water alarm: Turn OFF (restore when dry)': false,
+    'Water alarm: Turn ON (restore when dry)': true,
+    'Water alarm: Turn OFF (stay off)': false,
+    'Water alarm: Turn ON (stay on)': true,
+};
+const leakState = (history) => ({
+    last_leak_start: history.active?.start ?? history.last?.start ?? null,
+    last_leak_duration: history.active ? null : history.last?.duration ?? null,
+    last_leak_relay_acted: history.active ? null : history.last?.relay_acted ?? null,
+    leak_count: history.count ?? 0,
+    leak_acknowledged: history.acknowledged ?? false,
+});
+const finishLeak = (history, leak) => {
+    history.last = leak;
+    history.events = [...(history.events ?? []), leak].slice(-LEAK_EVENTS_KEPT);
+};
+// Publishes the leak keys when the history changed. received: decoded water_sensor / water_condition_alarm of one message; state: relay state and water_alarm_relay_action
+const updateLeakHistory = (device, received, state = {}, now = new Date()) => {
+    if (!device?.meta || (received.water_sensor === undefined && received.water_condition_alarm === undefined)) return {};
+    const history = device.meta.leak_history ?? {count: 0, acknowledged: false};
+    const before = JSON.stringify(history);
+    const expected = LEAK_EXPECTED_RELAY[state.water_alarm_relay_action];
+    const relay = state.state === undefined ? undefined : state.state === 'ON';
+
+    if (received.water_sensor === true && !history.active) {
+        history.active = {start: now.toISOString(), expected, relay};
+        history.count = (history.count ?? 0) + 1;
+        history.acknowledged = false;
+        history.alarm_covered = true;
+    } else if (received.water_sensor === false && history.active) {
+        const {start, expected: wanted, relay: seen} = history.active;
+        delete history.active;
+        finishLeak(history, {
+            start, end: now.toISOString(), duration: Math.round((now - new Date(start)) / 1000),
+            relay_acted: wanted === undefined || seen === undefined ? null : seen === wanted,
+        });
+    }
+    if (received.water_condition_alarm === true && !history.alarm_covered) {
+        history.count = (history.count ?? 0) + 1;
+        history.acknowledged = false;
+        history.alarm_covered = true;
+        finishLeak(history, {start: now.toISOString(), end: null, duration: null, relay_acted: null, source: 'alarm'});
+    } else if (received.water_condition_alarm === false) {
+        history.alarm_covered = !!history.active;
+    }
+    if (JSON.stringify(history) === before) return {};
+    device.meta.leak_history = history;
+    device.save?.();
+    return leakState(history);
+};
+// genOnOff reports during a leak, for relay_acted
+const noteLeakRelay = (device, on) => {
+    const active = device?.meta?.leak_history?.active;
+    if (active) active.relay = on;
+};
+
+// Water sensor debounce (water_sensor_leak_delay / water_sensor_dry_delay options) and flapping detection. Only
+// what the converter publishes is filtered: the device's own water_alarm_relay_action still acts on every change.
+const WATER_FLAP_DEFAULT_COUNT = 4; // transitions
+const WATER_FLAP_DEFAULT_WINDOW = 600; // s
+const waterSettings = (options = {}) => {
+    const leakDelay = Number(options.water_sensor_leak_delay);
+    const dryDelay = Number(options.water_sensor_dry_delay);
+    const flapCount = Number(options.water_sensor_flap_count);
+    const flapWindow = Number(options.water_sensor_flap_window);
+    return {
+        leakDelay: Number.isFinite(leakDelay) && leakDelay > 0 ? leakDelay : 0,
+        dryDelay: Number.isFinite(dryDelay) && dryDelay > 0 ? dryDelay : 0,
+        // 0 disables the flapping diagnostic
+        flapCount: Number.isFinite(flapCount) && flapCount >= 0 ? flapCount : WATER_FLAP_DEFAULT_COUNT,
+        flapWindow: Number.isFinite(flapWindow) && flapWindow > 0 ? flapWindow : WATER_FLAP_DEFAULT_WINDOW,
+    };
+};
+const stopWaterDebounce = (ieeeAddr) => {
+    const runtime = deviceRuntime(ieeeAddr);
+    clearTimeout(runtime.waterTimer);
+    runtime.waterTimer = undefined;
+    runtime.waterPending = undefined;
+};
+// value: the decoded water_sensor of a report; state: the published state. Returns the keys to publish now and
+// whether a pending leak was dropped because the sensor went dry again within water_sensor_leak_delay. A change
+// that has to persist is handed to settle() once it did.
+const debounceWaterSensor = (device, value, options, state = {}, settle) => {
+    const runtime = deviceRuntime(device.ieeeAddr);
+    const settings = waterSettings(options);
+    const now = Date.now();
+    const out = {};
+
+    const previous = runtime.waterRaw ?? state.water_sensor;
+    runtime.waterRaw = value;
+    const transitions = (runtime.waterTransitions ?? []).filter((at) => now - at < settings.flapWindow * 1000);
+    if (previous !== undefined && previous !== value) transitions.push(now);
+    runtime.waterTransitions = transitions;
+    const flapping = settings.flapCount > 0 && transitions.length > settings.flapCount;
+    if (flapping !== (state.water_sensor_flapping ?? false)) out.water_sensor_flapping = flapping;
+
+    const dropped = runtime.waterPending === true && !value;
+    const delay = value ? settings.leakDelay : settings.dryDelay;
+    if (value === (state.water_sensor ?? false) || !delay) {
+        stopWaterDebounce(device.ieeeAddr);
+        out.water_sensor = value;
+    } else if (runtime.waterPending !== value) {
+        stopWaterDebounce(device.ieeeAddr);
+        runtime.waterPending = value;
+        runtime.waterTimer = setTimeout(() => {
+            runtime.waterTimer = undefined;
+            runtime.waterPending = undefined;
+            settle({water_sensor: value});
+        }, delay * 1000);
+    }
+    return {out, dropped};
+};
+
+// Thermostat mode (thermostat_probe option): a climate expose on top of the device's own NTC automation.
+// system_mode heat = ntcX_operation_mode "OFF when hot, ON when cold", the setpoint is ntcX_relay_auto_temp
+// and the hysteresis comes from thermostat_hysteresis, so control keeps running on the device.
+const THERMOSTAT_PROBES = ['ntc1', 'ntc2'];
+const THERMOSTAT_HEAT_MODE = 'OFF when hot, ON when cold';
+const THERMOSTAT_DEFAULT_HYSTERESIS = 1; // °C
+const thermostatProbe = (options = {}) => (THERMOSTAT_PROBES.includes(options.thermostat_probe) ? options.thermostat_probe : undefined);
+const thermostatHysteresis = (options = {}) => {
+    const hysteresis = Number(options.thermostat_hysteresis);
+    return Number.isFinite(hysteresis) && hysteresis > 0 && hysteresis <= INT8_TENTHS.max ? hysteresis : THERMOSTAT_DEFAULT_HYSTERESIS;
+};
+// Climate keys for the probe keys in changed; the relay state drives running_state
+const thermostatState = (options, changed) => {
+    const probe = thermostatProbe(options);
+    if (!probe) return {};
+    const out = {};
+    if (`${probe}_temperature` in changed) out.local_temperature = changed[`${probe}_temperature`];
+    if (`${probe}_relay_auto_temp` in changed) out.occupied_heating_setpoint = changed[`${probe}_relay_auto_temp`];
+    if (`${probe}_operation_mode` in changed) out.system_mode = changed[`${probe}_operation_mode`] === THERMOSTAT_HEAT_MODE ? 'heat' : 'off';
+    if ('state' in changed) out.running_state = changed.state === 'ON' ? 'heat' : 'idle';
+    return out;
+};
+
+// control_reason: why the relay is in its state, from the cached 0x04E0 settings and the current readings, the
+// way the device combines them (water rule, NTC rules, override_option). config_warnings lists settings that
+// contradict each other; both are only published when they change.
+const waterRule = (s) => {
+    const action = s.water_alarm_relay_action;
+    if (!action || action === 'No action') return;
+    if (action.startsWith('No water')) {
+        return s.water_sensor === false ? {on: action.endsWith('ON'), text: 'no water'} : undefined;
+    }
+    const latched = action.includes('(stay');
+    if (s.water_sensor !== true && !(latched && s.water_condition_alarm === true)) return;
+    return {on: action.includes('Turn ON'), text: `water alarm${latched ? ' (latched)' : ''}`};
+};
+const ntcRule = (n, s) => {
+    const mode = s[`ntc${n}_operation_mode`];
+    const temperature = s[`ntc${n}_temperature`];
+    const limit = s[`ntc${n}_relay_auto_temp`];
+    if (!mode || mode === 'No action' || s[`ntc${n}_sensor_type`] === 'None') return;
+    if (typeof temperature !== 'number' || typeof limit !== 'number') return;
+    const low = limit - Math.abs(s[`ntc${n}_temp_hysteresis`] ?? 0);
+    const hot = temperature >= limit;
+    if (mode.includes('(stay')) {
+        if (!hot && s.ntc_condition_alarm !== true) return;
+        return {on: mode.startsWith('ON'), text: `NTC${n} over ${limit} °C (latched)`};
+    }
+    const onWhenHot = mode.startsWith('ON when hot');
+    if (hot) return {on: onWhenHot, text: `NTC${n} ${temperature} °C at or above ${limit} °C`};
+    if (temperature <= low) return {on: !onWhenHot, text: `NTC${n} ${temperature} °C at or below ${low} °C`};
+    return {on: s.state === 'ON', text: `NTC${n} ${temperature} °C within the hysteresis (${low}-${limit} °C)`};
+};
+const controlReason = (s) => {
+    const relay = s.state === 'ON';
+    if (!relay && s.overload_tripped) return `OFF: software overload protection (${s.overload_reason ?? 'tripped'})`;
+    const water = waterRule(s);
+    const ntc = [ntcRule(1, s), ntcRule(2, s)].filter(Boolean);
+    let rule = water ?? ntc.find((r) => r.on === relay) ?? ntc[0];
+    let priority = '';
+    if (water && ntc.length) {
+        const ntcRuleFor = ntc.find((r) => r.on === relay) ?? ntc[0];
+        if (s.override_option === 'Temperature (NTC) has priority') {
+            rule = ntcRuleFor;
+            priority = ', NTC has priority over water';
+        } else if (s.override_option === 'Water alarm has priority') {
+            priority = ', water has priority over NTC';
+        } else {
+            rule = water.on === relay ? water : ntcRuleFor;
+            priority = ', no priority set';
+        }
+    }
+    if (!rule) return `${s.state}: manual`;
+    if (rule.on !== relay) return `${s.state}: manual (${rule.text} would switch it ${rule.on ? 'on' : 'off'})`;
+    return `${s.state}: ${rule.text}${priority}`;
+};
+const configWarnings = (s, options = {}) => {
+    const warnings = [];
+    for (const n of [1, 2]) {
+        const mode = s[`ntc${n}_operation_mode`];
+        if (mode && mode !== 'No action' && s[`ntc${n}_sensor_type`] === 'None') {
+            warnings.push(`ntc${n}_operation_mode "${mode}" is set but ntc${n}_sensor_type is None`);
+        }
+    }
+    if (s.override_option === 'Water alarm has priority' && s.water_alarm_relay_action === 'No action') {
+        warnings.push('override_option gives the water alarm priority but water_alarm_relay_action is No action');
+    }
+    if (s.override_option === 'Temperature (NTC) has priority' && s.ntc1_operation_mode === 'No action' &&
+        s.ntc2_operation_mode === 'No action') {
+        warnings.push('override_option gives NTC priority but both NTC operation modes are No action');
+    }
+    const probe = thermostatProbe(options);
+    if (probe && s[`${probe}_sensor_type`] === 'None') warnings.push(`thermostat_probe ${probe} has sensor type None`);
+    return warnings.join('; ');
+};
+const controlState = (device, state, options) => {
+    const out = {};
+    if (state.state === 'ON' || state.state === 'OFF') {
+        const reason = controlReason(state);
+        if (reason !== state.control_reason) out.control_reason = reason;
+    }
+    const warnings = configWarnings(state, options);
+    if (warnings !== (state.config_warnings ?? '')) {
+        out.config_warnings = warnings;
+        if (warnings) mkLogger().warn(`[Namron4512785] contradictory configuration on ${device?.ieeeAddr}: ${warnings}`);
+    }
+    return out;
+};
+
 // Local numeric-ID fromZigbee converters (accept both numeric and named attributes)
 const fzLocal = {
     // 0x0006 genOnOff -> state
@@ -119,20 +1055,79 @@ const fzLocal = {
         },
     },
 
-    // 0x0002 genDeviceTempCfg -> device_temperature (attr 0x0000, /10)
+    // 0x0006 genOnOff -> on_time / off_wait_time (attrs 0x4001/0x4002, 1/10 s -> s)
+    on_time_num: {
+        cluster: 'genOnOff',
+        type: ['attributeReport', 'readResponse'],
+        convert: (model, msg) => {
+            const out = {};
+            if (!msg.data) return;
+            const onKey = pickKey(msg.data, [0x4001, 'onTime']);
+            const offKey = pickKey(msg.data, [0x4002, 'offWaitTime']);
+            if (onKey !== undefined && typeof msg.data[onKey] === 'number') out.on_time = msg.data[onKey] / 10;
+            if (offKey !== undefined && typeof msg.data[offKey] === 'number') out.off_wait_time = msg.data[offKey] / 10;
+            return Object.keys(out).length ? out : undefined;
+        },
+    },
+
+    // 0x0006 genOnOff: relay state while a leak is active (leak history relay_acted), as thermostat running_state
+    // and for control_reason
+    relay_watch: {
+        cluster: 'genOnOff',
+        type: ['attributeReport', 'readResponse'],
+        convert: (model, msg, publish, options, meta) => {
+            const onKey = msg.data ? pickKey(msg.data, [0x0000, 'onOff']) : undefined;
+            if (onKey === undefined) return;
+            noteLeakRelay(msg.device, !!msg.data[onKey]);
+            const relay = {state: msg.data[onKey] ? 'ON' : 'OFF'};
+            const out = {...thermostatState(options, relay), ...controlState(msg.device, {...meta?.state, ...relay}, options)};
+            return Object.keys(out).length ? out : undefined;
+        },
+    },
+    // 0x0006 genOnOff: keeps the relay off while the software overload protection is tripped,
+    // e.g. after the local button was pressed
+    overload_guard: {
+        cluster: 'genOnOff',
+        type: ['attributeReport', 'readResponse'],
+        convert: (model, msg) => {
+            const onKey = msg.data ? pickKey(msg.data, [0x0000, 'onOff']) : undefined;
+            if (onKey === undefined || !msg.data[onKey] || !msg.device?.meta?.overload?.tripped) return;
+            msg.endpoint.command('genOnOff', 'off', {}).catch((err) => {
+                mkLogger().error(`[Namron4512785] overload cut-off failed for ${msg.device.ieeeAddr}: ${err}`);
+            });
+        },
+    },
+
+    // 0x0002 genDeviceTempCfg -> device_temperature (attr 0x0000, /10), alarm mask (0x0010),
+    // low/high temp thresholds (0x0011/0x0012, /10)
     device_temp_num: {
         cluster: 'genDeviceTempCfg',
         type: ['attributeReport', 'readResponse'],
         convert: (model, msg) => {
+            const out = {};
             if (!msg.data) return;
             const key = pickKey(msg.data, [0x0000, 'currentTemperature']);
             if (key !== undefined) {
                 const raw = msg.data[key];
                 if (raw !== -32768 && raw !== 0x8000 && raw != null) {
                     // Device reports 10x too high -> divide by 10
-                    return {device_temperature: Math.round((raw / 10) * 10) / 10};
+                    out.device_temperature = Math.round((raw / 10) * 10) / 10;
                 }
             }
+            const maskKey = pickKey(msg.data, [0x0010, 'devTempAlarmMask']);
+            if (maskKey !== undefined && typeof msg.data[maskKey] === 'number') {
+                out.device_temp_low_alarm = (msg.data[maskKey] & 0x01) !== 0; // bit 0: Low Temp Alarm
+                out.device_temp_high_alarm = (msg.data[maskKey] & 0x02) !== 0; // bit 1: High Temp Alarm
+            }
+            const lowKey = pickKey(msg.data, [0x0011, 'lowTempThres']);
+            if (lowKey !== undefined && typeof msg.data[lowKey] === 'number' && msg.data[lowKey] !== -32768) {
+                out.device_temp_low_threshold = Math.round((msg.data[lowKey] / 10) * 10) / 10;
+            }
+            const highKey = pickKey(msg.data, [0x0012, 'highTempThres']);
+            if (highKey !== undefined && typeof msg.data[highKey] === 'number' && msg.data[highKey] !== -32768) {
+                out.device_temp_high_threshold = Math.round((msg.data[highKey] / 10) * 10) / 10;
+            }
+            return Object.keys(out).length ? out : undefined;
         },
     },
 
@@ -140,98 +1135,72 @@ const fzLocal = {
     temp_measurement_num: {
         cluster: 'msTemperatureMeasurement',
         type: ['attributeReport', 'readResponse'],
-        convert: (model, msg) => {
+        convert: (model, msg, publish, options, meta) => {
             if (!msg.data) return;
             const key = pickKey(msg.data, [0x0000, 'measuredValue']);
             if (key !== undefined) {
                 const raw = msg.data[key];
-                if (raw !== -32768 && raw !== 0x8000 && raw != null) {
-                    return {ntc1_temperature: Math.round((raw / 100) * 10) / 10};
-                }
+                const value = raw !== -32768 && raw !== 0x8000 && raw != null ? Math.round((raw / 100) * 10) / 10 : undefined;
+                const out = ntcProbeState(1, value, msg.device, meta?.state);
+                return {
+                    ...out, ...ntcTrendState(1, out.ntc1_temperature, msg.device, options), ...thermostatState(options, out),
+                    ...controlState(msg.device, {...meta?.state, ...out}, options),
+                };
             }
         },
     },
 
-    // 0x04E0 Private cluster -> ntc2_temperature (attr 0x0000, /100), water_sensor (attr 0x0003)
+    // 0x04E0 Private cluster -> every PRIVATE_ATTRIBUTES entry (ntc2_temperature, water_sensor, settings, alarms)
     private_04e0_num: {
-        cluster: '1248',  // Z2M converts 0x04E0 to string '1248' for lookup
+        cluster: PRIVATE_CLUSTER,
         type: ['attributeReport', 'readResponse'],
-        convert: (model, msg) => {
+        convert: (model, msg, publish, options, meta) => {
             const out = {};
             const data = msg.data;
             if (!data) return;
-
-            const mapAndAssign = (attrId, aliases, handler) => {
-                if (hasAny(data, aliases)) handler(data[pickKey(data, aliases)]);
-            };
-
-            mapAndAssign(0x0000, [0x0000, 'measuredValue2', 'ntc2Temperature'], (raw) => {
-                if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000) {
-                    out.ntc2_temperature = Math.round((raw / 100) * 10) / 10;
-                }
-            });
-            mapAndAssign(0x0001, [0x0001, 'resistanceValue1'], (raw) => {
-                if (raw != null) out.ntc1_sensor_type = NTC_TYPE_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x0002, [0x0002, 'resistanceValue2'], (raw) => {
-                if (raw != null) out.ntc2_sensor_type = NTC_TYPE_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x0003, [0x0003, 'waterSensorValue', 'waterSensor'], (raw) => {
-                out.water_sensor = !raw; // Inverted: true=water detected (shorted), false=no water
-            });
-            mapAndAssign(0x0004, [0x0004, 'NTCCalibration1'], (raw) => {
-                if (typeof raw === 'number') out.ntc1_calibration = raw;
-            });
-            mapAndAssign(0x0005, [0x0005, 'NTCCalibration2'], (raw) => {
-                if (typeof raw === 'number') out.ntc2_calibration = raw;
-            });
-            mapAndAssign(0x0006, [0x0006, 'waterAlarmRelayAction'], (raw) => {
-                if (raw != null) out.water_alarm_relay_action = WATER_RELAY_ACTION_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x0007, [0x0007, 'ntc1OperationSelect'], (raw) => {
-                if (raw != null) out.ntc1_operation_mode = NTC1_OPERATION_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x0008, [0x0008, 'ntc2OperationSelect'], (raw) => {
-                if (raw != null) out.ntc2_operation_mode = NTC2_OPERATION_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x0009, [0x0009, 'ntc1RelayAutoTemp'], (raw) => {
-                if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000) {
-                    out.ntc1_relay_auto_temp = Math.round((raw / 100) * 10) / 10;
-                }
-            });
-            mapAndAssign(0x000A, [0x000A, 'ntc2RelayAutoTemp'], (raw) => {
-                if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000) {
-                    out.ntc2_relay_auto_temp = Math.round((raw / 100) * 10) / 10;
-                }
-            });
-            mapAndAssign(0x000B, [0x000B, 'overrideOption'], (raw) => {
-                if (raw != null) out.override_option = OVERRIDE_OPTION_INV[raw] ?? raw;
-            });
-            mapAndAssign(0x000C, [0x000C, 'ntc1TempHysterisis'], (raw) => {
-                if (typeof raw === 'number') out.ntc1_temp_hysteresis = raw;
-            });
-            mapAndAssign(0x000D, [0x000D, 'ntc2TempHysterisis'], (raw) => {
-                if (typeof raw === 'number') out.ntc2_temp_hysteresis = raw;
-            });
-            mapAndAssign(0x000E, [0x000E, 'waterConditionAlarm'], (raw) => {
-                if (raw != null) out.water_condition_alarm = !!raw;
-            });
-            mapAndAssign(0x000F, [0x000F, 'ntcConditionAlarm'], (raw) => {
-                if (raw != null) out.ntc_condition_alarm = !!raw;
-            });
-            mapAndAssign(0x0010, [0x0010, 'isExecuteCondition'], (raw) => {
-                if (raw != null) out.is_execute_condition = !!raw;
-            });
-
+            for (const attr of PRIVATE_ATTRIBUTES) {
+                if (!Object.prototype.hasOwnProperty.call(data, attr.attribute)) continue;
+                const value = decodePrivate(attr, data[attr.attribute]);
+                if (value !== undefined) out[attr.key] = value;
+                if (rememberSensorType(msg.device, attr.key, value)) meta?.deviceExposesChanged?.();
+                Object.assign(out, ntcTypeChangeState(attr.key, value));
+            }
+            // measuredValue2 is decoded again with the (possibly just updated) sensor type, sentinel included
+            if (Object.prototype.hasOwnProperty.call(data, 'measuredValue2')) {
+                const temperature = decodePrivate(PRIVATE_ATTRIBUTE_BY_KEY.ntc2_temperature, data.measuredValue2);
+                Object.assign(out, ntcProbeState(2, temperature, msg.device, {...meta?.state, ...out}));
+                Object.assign(out, ntcTrendState(2, out.ntc2_temperature, msg.device, options));
+            }
+            Object.assign(out, presetState(meta?.state ?? {}, out));
+            Object.assign(out, updateConfigDrift(msg.device, msg.endpoint, out, options, publish));
+            // water_sensor is debounced; the leak history follows what is published, and a latched alarm only
+            // counts as a leak of its own when no debounced leak is pending (or the pending one was dropped)
+            const received = {...out};
+            if (out.water_sensor !== undefined && msg.device) {
+                const state = {...meta?.state, ...out};
+                delete out.water_sensor;
+                const {out: water, dropped} = debounceWaterSensor(msg.device, received.water_sensor, options, meta?.state, (settled) => {
+                    const leak = updateLeakHistory(msg.device, settled, state);
+                    publish({...settled, ...leak, ...controlState(msg.device, {...state, ...settled, ...leak}, options)});
+                });
+                Object.assign(out, water);
+                received.water_sensor = water.water_sensor;
+                if (dropped) received.water_condition_alarm ??= state.water_condition_alarm;
+            }
+            if (msg.device && deviceRuntime(msg.device.ieeeAddr).waterPending === true) delete received.water_condition_alarm;
+            Object.assign(out, updateLeakHistory(msg.device, received, {...meta?.state, ...out}));
+            Object.assign(out, thermostatState(options, out));
+            Object.assign(out, controlState(msg.device, {...meta?.state, ...out}, options));
             return Object.keys(out).length ? out : undefined;
         },
     },
 
     // 0x0B04 haElectricalMeasurement -> voltage (0x0505 /10), current (0x0508 /1000), power (0x050B)
+    // + reactive_power (0x050E), ac_frequency (0x0300) and derived apparent_power / power_factor
     electrical_num: {
         cluster: 'haElectricalMeasurement',
         type: ['attributeReport', 'readResponse'],
-        convert: (model, msg) => {
+        convert: (model, msg, publish, options) => {
             const out = {};
             if (!msg.data) return;
             const voltKey = pickKey(msg.data, [0x0505, 'rmsVoltage']);
@@ -240,37 +1209,184 @@ const fzLocal = {
             if (voltKey !== undefined) out.voltage = msg.data[voltKey] / 10; // Scale down 10 and keep as-is
             if (currKey !== undefined) out.current = Math.round((msg.data[currKey] / 1000) * 100) / 100 ; // Scale down 1000 and round to 2 decimals
             if (powKey  !== undefined) out.power = msg.data[powKey]; // raw value is correct (W) 
+            for (const [extra, {attribute, name}] of Object.entries(ELECTRICAL_EXTRAS)) {
+                const extraKey = pickKey(msg.data, [attribute, name]);
+                if (extraKey !== undefined && typeof msg.data[extraKey] === 'number') out[extra] = msg.data[extraKey];
+            }
+            if (msg.device?.meta && (voltKey !== undefined || currKey !== undefined || powKey !== undefined)) {
+                const cache = {...msg.device.meta.electrical};
+                for (const k of ['voltage', 'current', 'power']) if (typeof out[k] === 'number') cache[k] = out[k];
+                msg.device.meta.electrical = cache;
+                Object.assign(out, derivePower(cache));
+            }
+            const readings = {};
+            if (out.current !== undefined) readings.current = out.current;
+            if (out.power !== undefined) readings.power = out.power;
+            if (Object.keys(readings).length) checkOverload(msg, publish, options, readings);
             return Object.keys(out).length ? out : undefined;
         },
     },
 
     // 0x0702 seMetering -> energy (kWh) from attr 0x0000 (device reports 100× too high)
+    // + energy_today/yesterday/this_month/last_month (and *_cost with the energy_price option)
     metering_num: {
         cluster: 'seMetering',
         type: ['attributeReport', 'readResponse'],
-        convert: (model, msg) => {
+        convert: (model, msg, publish, options) => {
             if (!msg.data) return;
             const key = pickKey(msg.data, [0x0000, 'currentSummationDelivered', 'currentSummDelivered']);
             if (key !== undefined) {
                 const raw = msg.data[key];
                 if (typeof raw === 'number') {
-                    return {energy: Math.round(raw / 100 * 100) / 100}; // Divide by 100, round to 2 decimals
+                    const energy = Math.round(raw / 100 * 100) / 100; // Divide by 100, round to 2 decimals
+                    if (!msg.device?.meta) return {energy};
+                    return {energy, ...energyAccountingState(updateEnergyAccounting(msg.device, energy), options)};
                 }
             }
         },
     },
 };
 
+// Configuration backup/restore (export_config / import_config): every writable 0x04E0 setting plus the
+// power-on behavior (genOnOff startUpOnOff, normally handled by m.onOff) as one flat object in Z2M units.
+const POWER_ON_BEHAVIOR_MAP = {off: 0, on: 1, toggle: 2, previous: 255};
+const CONFIG_KEYS = [...PRIVATE_ATTRIBUTES.filter(isWritable).map((attr) => attr.key), 'power_on_behavior'];
+const exportConfig = async (entity) => {
+    const attrs = PRIVATE_ATTRIBUTES.filter(isWritable);
+    const config = {};
+    try {
+        const raw = await readPrivateAttributes(entity, attrs.map((attr) => attr.key));
+        for (const attr of attrs) {
+            const value = decodePrivate(attr, raw[attr.key]);
+            if (value !== undefined) config[attr.key] = value;
+        }
+        const onOff = await entity.read('genOnOff', ['startUpOnOff']);
+        const powerOn = invertMap(POWER_ON_BEHAVIOR_MAP)[onOff?.startUpOnOff];
+        if (powerOn) config.power_on_behavior = powerOn;
+    } catch (err) {
+        throw new Error(`[Namron4512785] export_config failed: ${err.message}`);
+    }
+    return config;
+};
+// Validates every entry first; the valid 0x04E0 ones go out as one batched write whose response status gives
+// the per-attribute result.
+const importConfig = async (entity, value, meta) => {
+    let config = value;
+    if (typeof config === 'string') {
+        try {
+            config = JSON.parse(config);
+        } catch (err) {
+            throw new Error(`[Namron4512785] import_config is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('[Namron4512785] import_config must be an object as published by export_config');
+    }
+    const result = {};
+    const state = {};
+    const payload = {};
+    let powerOn;
+    for (const [key, item] of Object.entries(config)) {
+        try {
+            if (!CONFIG_KEYS.includes(key)) throw new Error(`[Namron4512785] ${key} is not a configuration key`);
+            if (key === 'power_on_behavior') {
+                powerOn = parseEnumValue(item, POWER_ON_BEHAVIOR_MAP, key);
+                continue;
+            }
+            const {raw, text} = encodePrivate(PRIVATE_ATTRIBUTE_BY_KEY[key], item);
+            payload[key] = {raw, text};
+        } catch (err) {
+            result[key] = `error: ${err.message}`;
+        }
+    }
+    const applied = (key, text) => {
+        result[key] = 'ok';
+        state[key] = text;
+        if (rememberSensorType(meta.device, key, text)) meta.deviceExposesChanged?.();
+        Object.assign(state, ntcTypeChangeState(key, text));
+    };
+    const keys = Object.keys(payload);
+    const failures = keys.length ?
+        await applyPrivate(entity, keys.map((key) => ({attr: PRIVATE_ATTRIBUTE_BY_KEY[key], ...payload[key]})), meta) : {};
+    for (const key of keys) {
+        if (failures[key]) result[key] = `error: ${failures[key]}`;
+        else applied(key, payload[key].text);
+    }
+    if (powerOn) {
+        try {
+            await entity.write('genOnOff', {startUpOnOff: powerOn.raw});
+            applied('power_on_behavior', powerOn.text);
+        } catch (err) {
+            result.power_on_behavior = `error: ${err.message}`;
+        }
+    }
+    return {...state, ...presetState(meta.state ?? {}, state), import_config_result: result};
+};
+
 // toZigbee convertGet for each exposed measurement so Refresh buttons work
 const tzLocal = {
+    // Takes precedence over the modernExtend on_off converter: `{"state": "ON", "on_time": 3600}` is sent as
+    // ZCL "on with timed off" so the device's own timer ends the boost even if Z2M/MQTT is down.
+    // on_time / off_wait_time without state rewrite the running timer (attrs 0x4001/0x4002).
+    on_off_timed: {
+        key: ['state', 'on_time', 'off_wait_time'],
+        convertSet: async (entity, key, value, meta) => {
+            const message = meta.message ?? {};
+            const timed = {};
+            if (message.on_time != null) timed.on_time = parseNumeric(message.on_time, 'on_time', 10, ON_TIME_RANGE);
+            if (message.off_wait_time != null) {
+                timed.off_wait_time = parseNumeric(message.off_wait_time, 'off_wait_time', 10, ON_TIME_RANGE);
+            }
+
+            if (message.state == null) {
+                const attrs = {};
+                if (timed.on_time) attrs[0x4001] = {value: timed.on_time.raw, type: DataType.UINT16};
+                if (timed.off_wait_time) attrs[0x4002] = {value: timed.off_wait_time.raw, type: DataType.UINT16};
+                await entity.write('genOnOff', attrs);
+                return {state: Object.fromEntries(Object.entries(timed).map(([k, v]) => [k, v.text]))};
+            }
+
+            const state = typeof message.state === 'string' ? message.state.toLowerCase() : null;
+            if (!['on', 'off', 'toggle'].includes(state)) throw new Error(`[Namron4512785] invalid state: ${message.state}`);
+            const overload = meta.device?.meta?.overload;
+            if (overload?.tripped && state !== 'off') {
+                throw new Error(`[Namron4512785] overload protection tripped (${overload.reason}), send overload_reset first`);
+            }
+            if (state === 'on' && (timed.on_time || timed.off_wait_time)) {
+                await entity.command('genOnOff', 'onWithTimedOff', {
+                    ctrlbits: 0,
+                    ontime: timed.on_time?.raw ?? 0,
+                    offwaittime: timed.off_wait_time?.raw ?? 0,
+                });
+                return {state: {
+                    state: 'ON',
+                    on_time: timed.on_time?.text ?? 0,
+                    off_wait_time: timed.off_wait_time?.text ?? 0,
+                }};
+            }
+
+            await entity.command('genOnOff', state, {});
+            if (state === 'toggle') {
+                const current = meta.state?.state;
+                return current ? {state: {state: current === 'OFF' ? 'ON' : 'OFF'}} : {};
+            }
+            return {state: {state: state.toUpperCase()}};
+        },
+        convertGet: async (entity, key, meta) => {
+            if (key === 'state') await entity.read('genOnOff', ['onOff']);
+            else await entity.read('genOnOff', [key === 'on_time' ? 0x4001 : 0x4002]);
+        },
+    },
     get_attribute: {
         key: [
             // Read-only attributes (GET only)
-            'device_temperature', 'ntc1_temperature', 'ntc2_temperature', 'water_sensor',
+            'device_temperature', 'ntc1_temperature',
             'voltage', 'current', 'power', 'energy',
-            'water_condition_alarm', 'ntc_condition_alarm', 'is_execute_condition',
+            'device_temp_low_alarm', 'device_temp_high_alarm',
+            ...PRIVATE_ATTRIBUTES.filter((attr) => !isWritable(attr)).map((attr) => attr.key),
         ],
-        convertGet: async (entity, key) => {
+        convertGet: async (entity, key, meta) => {
+            if (PRIVATE_ATTRIBUTE_BY_KEY[key]) return readPrivate(entity, key, meta);
             try {
                 let res; let k; let raw; let val;
                 switch (key) {
@@ -278,31 +1394,15 @@ const tzLocal = {
                         res = await entity.read('genDeviceTempCfg', [0x0000]);
                         k = pickKey(res, [0x0000, 'currentTemperature']); raw = res?.[k];
                         if (raw !== undefined && raw !== null && raw !== -32768 && raw !== 0x8000) {
-                            val = raw; return {state: {device_temperature: val}};
+                            val = Math.round((raw / 10) * 10) / 10; return {state: {device_temperature: val}};
                         }
                         break;
                     case 'ntc1_temperature':
                         res = await entity.read('msTemperatureMeasurement', [0x0000]);
                         k = pickKey(res, [0x0000, 'measuredValue']); raw = res?.[k];
-                        if (raw !== undefined && raw !== null && raw !== -32768 && raw !== 0x8000) {
-                            val = Math.round((raw/100)*100)/100;
-                            return {state: {ntc1_temperature: val}};
-                        }
-                        break;
-                    case 'ntc2_temperature':
-                        res = await entity.read(0x04E0, [0x0000]);
-                        k = pickKey(res, [0x0000, 'ntc2Temperature']); raw = res?.[k];
-                        if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000 && raw !== 0) {
-                            val = Math.round((raw/100)*100)/100;
-                            return {state: {ntc2_temperature: val}};
-                        }
-                        break;
-                    case 'water_sensor':
-                        res = await entity.read(0x04E0, [0x0003]);
-                        k = pickKey(res, [0x0003, 'waterSensor']); raw = res?.[k];
                         if (raw !== undefined) {
-                            const state = !raw;
-                            return {state: {water_sensor: state}};
+                            val = raw !== null && raw !== -32768 && raw !== 0x8000 ? Math.round((raw / 100) * 10) / 10 : undefined;
+                            return {state: ntcProbeState(1, val, meta?.device, meta?.state)};
                         }
                         break;
                     case 'voltage':
@@ -317,7 +1417,7 @@ const tzLocal = {
                         break;
                     case 'power':
                         res = await entity.read('haElectricalMeasurement', [0x050B]);
-                        k = pickKey(res, [0x0050B, 'activePower']); raw = res?.[k];
+                        k = pickKey(res, [0x050B, 'activePower']); raw = res?.[k];
                         if (typeof raw === 'number') { return {state: {power: raw}}; }
                         break;
                     case 'energy':
@@ -325,20 +1425,13 @@ const tzLocal = {
                         k = pickKey(res, [0x0000, 'currentSummationDelivered', 'currentSummDelivered']); raw = res?.[k];
                         if (typeof raw === 'number') { val = Math.round(raw / 100 * 100) / 100; return {state: {energy: val}}; }
                         break;
-                    case 'water_condition_alarm':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000E]);
-                        k = pickKey(res, [0x000E, 'waterConditionAlarm']); raw = res?.[k];
-                        if (raw != null) return {state: {water_condition_alarm: !!raw}};
-                        break;
-                    case 'ntc_condition_alarm':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000F]);
-                        k = pickKey(res, [0x000F, 'ntcConditionAlarm']); raw = res?.[k];
-                        if (raw != null) return {state: {ntc_condition_alarm: !!raw}};
-                        break;
-                    case 'is_execute_condition':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0010]);
-                        k = pickKey(res, [0x0010, 'isExecuteCondition']); raw = res?.[k];
-                        if (raw != null) return {state: {is_execute_condition: !!raw}};
+                    case 'device_temp_low_alarm':
+                    case 'device_temp_high_alarm':
+                        res = await entity.read('genDeviceTempCfg', [0x0010]);
+                        k = pickKey(res, [0x0010, 'devTempAlarmMask']); raw = res?.[k];
+                        if (typeof raw === 'number') {
+                            return {state: {device_temp_low_alarm: (raw & 0x01) !== 0, device_temp_high_alarm: (raw & 0x02) !== 0}};
+                        }
                         break;
                 }
             } catch (err) {
@@ -347,205 +1440,677 @@ const tzLocal = {
         },
     },
     set_private_attribute: {
-        key: [
-            'ntc1_sensor_type', 'ntc2_sensor_type', 'water_alarm_relay_action',
-            'ntc1_operation_mode', 'ntc2_operation_mode', 'ntc1_relay_auto_temp',
-            'ntc2_relay_auto_temp', 'override_option', 'ntc1_calibration',
-            'ntc2_calibration', 'ntc1_temp_hysteresis', 'ntc2_temp_hysteresis',
-        ],
+        key: PRIVATE_ATTRIBUTES.filter(isWritable).map((attr) => attr.key),
+        convertGet: async (entity, key, meta) => readPrivate(entity, key, meta),
+        // Every writable 0x04E0 key of the payload goes out in one write; all are validated before anything is sent
+        convertSet: async (entity, key, value, meta) => {
+            const attr = PRIVATE_ATTRIBUTE_BY_KEY[key];
+            if (!attr || !isWritable(attr)) throw new Error(`[Namron4512785] unsupported set key ${key}`);
+            let keys = Object.keys(meta.message ?? {}).filter((k) => PRIVATE_ATTRIBUTE_BY_KEY[k] && isWritable(PRIVATE_ATTRIBUTE_BY_KEY[k]));
+            if (!keys.includes(key)) keys = [key];
+            const entries = keys.map((k) => {
+                const target = PRIVATE_ATTRIBUTE_BY_KEY[k];
+                return {attr: target, ...encodePrivate(target, k === key ? value : meta.message[k])};
+            });
+            const failures = await applyPrivate(entity, entries, meta);
+            const state = {};
+            for (const {attr: written, text} of entries) {
+                if (failures[written.key]) continue;
+                state[written.key] = text;
+                if (rememberSensorType(meta.device, written.key, text)) meta.deviceExposesChanged?.();
+                Object.assign(state, ntcTypeChangeState(written.key, text));
+            }
+            Object.assign(state, presetState(meta.state ?? {}, state), thermostatState(meta.options, state));
+            Object.assign(state, controlState(meta.device, {...meta.state, ...state}, meta.options));
+            const failed = Object.entries(failures);
+            if (failed.length) {
+                // Publish what did get written before failing the request
+                if (Object.keys(state).length) meta.publish?.(state);
+                throw new Error(`[Namron4512785] write refused: ${failed.map(([k, reason]) => `${k} (${reason})`).join(', ')}`);
+            }
+            return {state};
+        },
+    },
+    // 0x0002 genDeviceTempCfg low/high temp thresholds, same /10 scaling as device_temperature
+    device_temp_threshold: {
+        key: ['device_temp_low_threshold', 'device_temp_high_threshold'],
         convertGet: async (entity, key, meta) => {
             try {
-                let res; let k; let raw; let val;
-                switch (key) {
-                    case 'ntc1_sensor_type':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0001]);
-                        k = pickKey(res, [0x0001, 'resistanceValue1']); raw = res?.[k];
-                        if (raw != null) return {state: {ntc1_sensor_type: NTC_TYPE_INV[raw] ?? raw}};
-                        break;
-                    case 'ntc2_sensor_type':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0002]);
-                        k = pickKey(res, [0x0002, 'resistanceValue2']); raw = res?.[k];
-                        if (raw != null) return {state: {ntc2_sensor_type: NTC_TYPE_INV[raw] ?? raw}};
-                        break;
-                    case 'water_alarm_relay_action':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0006]);
-                        k = pickKey(res, [0x0006, 'waterAlarmRelayAction']); raw = res?.[k];
-                        if (raw != null) return {state: {water_alarm_relay_action: WATER_RELAY_ACTION_INV[raw] ?? raw}};
-                        break;
-                    case 'ntc1_operation_mode':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0007]);
-                        k = pickKey(res, [0x0007, 'ntc1OperationSelect']); raw = res?.[k];
-                        if (raw != null) return {state: {ntc1_operation_mode: NTC1_OPERATION_INV[raw] ?? raw}};
-                        break;
-                    case 'ntc2_operation_mode':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0008]);
-                        k = pickKey(res, [0x0008, 'ntc2OperationSelect']); raw = res?.[k];
-                        if (raw != null) return {state: {ntc2_operation_mode: NTC2_OPERATION_INV[raw] ?? raw}};
-                        break;
-                    case 'ntc1_relay_auto_temp':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0009]);
-                        k = pickKey(res, [0x0009, 'ntc1RelayAutoTemp']); raw = res?.[k];
-                        if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000) {
-                            val = Math.round((raw/100)*10)/10; return {state: {ntc1_relay_auto_temp: val}};
-                        }
-                        break;
-                    case 'ntc2_relay_auto_temp':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000A]);
-                        k = pickKey(res, [0x000A, 'ntc2RelayAutoTemp']); raw = res?.[k];
-                        if (typeof raw === 'number' && raw !== -32768 && raw !== 0x8000) {
-                            val = Math.round((raw/100)*10)/10; return {state: {ntc2_relay_auto_temp: val}};
-                        }
-                        break;
-                    case 'override_option':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000B]);
-                        k = pickKey(res, [0x000B, 'overrideOption']); raw = res?.[k];
-                        if (raw != null) return {state: {override_option: OVERRIDE_OPTION_INV[raw] ?? raw}};
-                        break;
-                    case 'ntc1_calibration':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0004]);
-                        k = pickKey(res, [0x0004, 'NTCCalibration1']); raw = res?.[k];
-                        if (typeof raw === 'number') return {state: {ntc1_calibration: raw}};
-                        break;
-                    case 'ntc2_calibration':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x0005]);
-                        k = pickKey(res, [0x0005, 'NTCCalibration2']); raw = res?.[k];
-                        if (typeof raw === 'number') return {state: {ntc2_calibration: raw}};
-                        break;
-                    case 'ntc1_temp_hysteresis':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000C]);
-                        k = pickKey(res, [0x000C, 'ntc1TempHysterisis']); raw = res?.[k];
-                        if (typeof raw === 'number') return {state: {ntc1_temp_hysteresis: raw}};
-                        break;
-                    case 'ntc2_temp_hysteresis':
-                        res = await entity.read(PRIVATE_CLUSTER_ID, [0x000D]);
-                        k = pickKey(res, [0x000D, 'ntc2TempHysterisis']); raw = res?.[k];
-                        if (typeof raw === 'number') return {state: {ntc2_temp_hysteresis: raw}};
-                        break;
+                const attrId = key === 'device_temp_low_threshold' ? 0x0011 : 0x0012;
+                const res = await entity.read('genDeviceTempCfg', [attrId]);
+                const k = pickKey(res, [attrId, key === 'device_temp_low_threshold' ? 'lowTempThres' : 'highTempThres']);
+                const raw = res?.[k];
+                if (typeof raw === 'number' && raw !== -32768) {
+                    return {state: {[key]: Math.round((raw / 10) * 10) / 10}};
                 }
             } catch (err) {
                 throw new Error(`Failed to read ${key}: ${err.message}`);
             }
         },
         convertSet: async (entity, key, value, meta) => {
-            let payload; let result;
-            switch (key) {
-                case 'ntc1_sensor_type':
-                    ({raw: payload, text: result} = parseEnumValue(value, NTC_TYPE_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0001: {value: payload, type: DataType.ENUM8}});
-                    return {state: {ntc1_sensor_type: result}};
-                case 'ntc2_sensor_type':
-                    ({raw: payload, text: result} = parseEnumValue(value, NTC_TYPE_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0002: {value: payload, type: DataType.ENUM8}});
-                    return {state: {ntc2_sensor_type: result}};
-                case 'water_alarm_relay_action':
-                    ({raw: payload, text: result} = parseEnumValue(value, WATER_RELAY_ACTION_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0006: {value: payload, type: DataType.ENUM8}});
-                    return {state: {water_alarm_relay_action: result}};
-                case 'ntc1_operation_mode':
-                    ({raw: payload, text: result} = parseEnumValue(value, NTC1_OPERATION_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0007: {value: payload, type: DataType.ENUM8}});
-                    return {state: {ntc1_operation_mode: result}};
-                case 'ntc2_operation_mode':
-                    ({raw: payload, text: result} = parseEnumValue(value, NTC2_OPERATION_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0008: {value: payload, type: DataType.ENUM8}});
-                    return {state: {ntc2_operation_mode: result}};
-                case 'ntc1_relay_auto_temp':
-                    ({raw: payload, text: result} = parseNumeric(value, key, 100));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0009: {value: payload, type: DataType.INT16}});
-                    return {state: {ntc1_relay_auto_temp: result}};
-                case 'ntc2_relay_auto_temp':
-                    ({raw: payload, text: result} = parseNumeric(value, key, 100));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x000A: {value: payload, type: DataType.INT16}});
-                    return {state: {ntc2_relay_auto_temp: result}};
-                case 'override_option':
-                    ({raw: payload, text: result} = parseEnumValue(value, OVERRIDE_OPTION_MAP, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x000B: {value: payload, type: DataType.ENUM8}});
-                    return {state: {override_option: result}};
-                case 'ntc1_calibration':
-                    ({raw: payload, text: result} = parseNumeric(value, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0004: {value: payload, type: DataType.INT8}});
-                    return {state: {ntc1_calibration: result}};
-                case 'ntc2_calibration':
-                    ({raw: payload, text: result} = parseNumeric(value, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x0005: {value: payload, type: DataType.INT8}});
-                    return {state: {ntc2_calibration: result}};
-                case 'ntc1_temp_hysteresis':
-                    ({raw: payload, text: result} = parseNumeric(value, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x000C: {value: payload, type: DataType.INT8}});
-                    return {state: {ntc1_temp_hysteresis: result}};
-                case 'ntc2_temp_hysteresis':
-                    ({raw: payload, text: result} = parseNumeric(value, key));
-                    await entity.write(PRIVATE_CLUSTER_ID, {0x000D: {value: payload, type: DataType.INT8}});
-                    return {state: {ntc2_temp_hysteresis: result}};
-                default:
-                    throw new Error(`[Namron4512785] unsupported set key ${key}`);
+            const {raw: payload, text: result} = parseNumeric(value, key, 10, DEVICE_TEMP_THRESHOLD_RANGE);
+            const attrId = key === 'device_temp_low_threshold' ? 0x0011 : 0x0012;
+            await entity.write('genDeviceTempCfg', {[attrId]: {value: payload, type: DataType.INT16}});
+            return {state: {[key]: result}};
+        },
+    },
+    // Releases the software overload latch; the relay stays off until switched on again
+    overload_reset: {
+        key: ['overload_reset'],
+        convertSet: async (entity, key, value, meta) => {
+            const device = meta.device;
+            if (device?.meta?.overload) {
+                delete device.meta.overload;
+                device.save?.();
+            }
+            if (device) {
+                const runtime = deviceRuntime(device.ieeeAddr);
+                clearTimeout(runtime.overloadTimer);
+                runtime.overloadTimer = undefined;
+            }
+            return {state: {overload_tripped: false, overload_reason: null}};
+        },
+    },
+    // setClear (0x04E0 command 0x00) resets latched water/NTC alarms ("stay off"/"stay on" modes);
+    // the alarm flags are re-read afterwards so the readResponse publishes the new state right away.
+    clear_alarm: {
+        key: ['clear_alarm'],
+        convertSet: async (entity, key, value, meta) => {
+            await entity.command(PRIVATE_CLUSTER, 'setClear', {});
+            await entity.read(PRIVATE_CLUSTER, ['waterConditionAlarm', 'ntcConditionAlarm', 'isExecuteCondition']);
+        },
+    },
+    // Publishes the current settings as one object (config_export) to feed import_config on another relay
+    export_config: {
+        key: ['export_config'],
+        convertSet: async (entity, key, value, meta) => ({state: {config_export: await exportConfig(entity)}}),
+    },
+    import_config: {
+        key: ['import_config'],
+        convertSet: async (entity, key, value, meta) => ({state: await importConfig(entity, value, meta)}),
+    },
+    // Writes a PRESETS bundle in one batch; fails listing the keys the device refused
+    preset: {
+        key: ['preset'],
+        convertSet: async (entity, key, value, meta) => {
+            const preset = PRESETS[value];
+            if (!preset) throw new Error(`[Namron4512785] invalid preset: ${value} (use one of ${Object.keys(PRESETS).join(', ')})`);
+            if (preset.probe) {
+                const typeKey = `${preset.probe}_sensor_type`;
+                const type = meta.device?.meta?.ntc_sensor_types?.[typeKey] ?? meta.state?.[typeKey];
+                if (!type || type === 'None') {
+                    throw new Error(`[Namron4512785] preset ${value} needs ${typeKey} set first (${type ? 'it is None' : 'not known yet'}); ` +
+                        'set the probe type fitted to the relay, then apply the preset again');
+                }
+            }
+            const {import_config_result: result, ...state} = await importConfig(entity, preset.settings, meta);
+            const failed = Object.entries(result).filter(([, outcome]) => outcome !== 'ok');
+            if (failed.length) {
+                throw new Error(`[Namron4512785] preset ${value} only partly applied: ${failed.map(([k, outcome]) => `${k} ${outcome}`).join(', ')}`);
+            }
+            return {state: {...state, preset: value}};
+        },
+    },
+    // Climate expose (thermostat_probe option) mapped onto the probe's 0x04E0 automation settings, one write per message
+    thermostat: {
+        key: ['occupied_heating_setpoint', 'system_mode'],
+        convertSet: async (entity, key, value, meta) => {
+            const probe = thermostatProbe(meta.options);
+            if (!probe) throw new Error('[Namron4512785] thermostat mode needs the thermostat_probe option (ntc1 or ntc2)');
+            const message = {...meta.message, [key]: value};
+            const mode = `${probe}_operation_mode`;
+            const settings = {};
+            if (message.system_mode !== undefined) {
+                if (!['heat', 'off'].includes(message.system_mode)) {
+                    throw new Error(`[Namron4512785] invalid system_mode: ${message.system_mode} (use heat or off)`);
+                }
+                settings[mode] = message.system_mode === 'heat' ? THERMOSTAT_HEAT_MODE : 'No action';
+            }
+            if (message.occupied_heating_setpoint !== undefined) {
+                settings[`${probe}_relay_auto_temp`] = message.occupied_heating_setpoint;
+                // a new setpoint switches heating on, unless the thermostat is (being set) off
+                if ((message.system_mode ?? meta.state?.system_mode) !== 'off') settings[mode] = THERMOSTAT_HEAT_MODE;
+            }
+            if (settings[mode] === THERMOSTAT_HEAT_MODE) settings[`${probe}_temp_hysteresis`] = thermostatHysteresis(meta.options);
+            const entries = Object.entries(settings).map(([k, v]) => ({attr: PRIVATE_ATTRIBUTE_BY_KEY[k], ...encodePrivate(PRIVATE_ATTRIBUTE_BY_KEY[k], v)}));
+            const failures = await applyPrivate(entity, entries, meta);
+            const state = Object.fromEntries(entries.filter(({attr}) => !failures[attr.key]).map(({attr, text}) => [attr.key, text]));
+            // "No action" leaves the relay where it is; a thermostat that is off doesn't heat
+            if (state[mode] === 'No action') {
+                await entity.command('genOnOff', 'off', {});
+                state.state = 'OFF';
+            }
+            Object.assign(state, presetState(meta.state ?? {}, state), thermostatState(meta.options, state));
+            Object.assign(state, controlState(meta.device, {...meta.state, ...state}, meta.options));
+            const failed = Object.entries(failures);
+            if (failed.length) {
+                if (Object.keys(state).length) meta.publish?.(state);
+                throw new Error(`[Namron4512785] write refused: ${failed.map(([k, reason]) => `${k} (${reason})`).join(', ')}`);
+            }
+            return {state};
+        },
+        // Setpoint and mode are the probe's threshold and operation mode: both read in one go, whichever was asked
+        convertGet: async (entity, key, meta) => {
+            const probe = thermostatProbe(meta.options);
+            if (!probe) throw new Error('[Namron4512785] thermostat mode needs the thermostat_probe option (ntc1 or ntc2)');
+            const keys = [`${probe}_relay_auto_temp`, `${probe}_operation_mode`];
+            const read = await readPrivate(entity, keys[0], {...meta, message: Object.fromEntries(keys.map((k) => [k, '']))});
+            if (read) return {state: {...read.state, ...thermostatState(meta.options, read.state)}};
+        },
+    },
+    // Weekly program controls; the program itself is the schedule option (device.meta.schedule)
+    schedule: {
+        key: ['schedule_enabled', 'schedule_override_until'],
+        convertSet: async (entity, key, value, meta) => {
+            const device = meta.device;
+            const schedule = device?.meta?.schedule;
+            if (!schedule?.slots?.length) throw new Error('[Namron4512785] no weekly program configured (schedule option)');
+            let state;
+            if (key === 'schedule_enabled') {
+                schedule.enabled = value === true || value === 'true' || value === 'ON';
+                state = {schedule_enabled: schedule.enabled};
+            } else if (value === '' || value === null || value === undefined) {
+                delete schedule.override_until;
+                state = {schedule_override_until: null};
+            } else {
+                const until = new Date(value);
+                if (Number.isNaN(until.getTime())) {
+                    throw new Error(`[Namron4512785] invalid schedule_override_until: ${value} (use an ISO 8601 date/time)`);
+                }
+                schedule.override_until = until.toISOString();
+                state = {schedule_override_until: schedule.override_until};
+            }
+            device.save?.();
+            // enabled again or override lifted: the current entry is written even if it was before
+            deviceRuntime(device.ieeeAddr).scheduleApplied = undefined;
+            await runSchedule(device, meta.options);
+            return {state};
+        },
+    },
+    // Operator acknowledgement of the last leak; a new leak resets it
+    leak_acknowledged: {
+        key: ['leak_acknowledged'],
+        convertSet: async (entity, key, value, meta) => {
+            const acknowledged = value === true || value === 'true' || value === 'ON';
+            const device = meta.device;
+            if (device?.meta) {
+                device.meta.leak_history = {count: 0, ...device.meta.leak_history, acknowledged};
+                device.save?.();
             }
+            return {state: {leak_acknowledged: acknowledged}};
         },
     },
+    // Re-runs the configure() capability probe, e.g. after a firmware update
+    reprobe: {
+        key: ['reprobe'],
+        convertSet: async (entity, key, value, meta) => {
+            if (!meta.device) throw new Error('[Namron4512785] reprobe needs the device');
+            await probeCapabilities(meta.device, entity, mkLogger());
+            meta.deviceExposesChanged?.();
+        },
+    },
+};
+
+// Polling backstop for unreliable reporting, configured per device via poll_enabled / poll_interval /
+// poll_attributes. State lives on globalThis so a converter reload doesn't leave orphaned timers behind.
+const POLL_DEFAULTS = {interval: 60, attributes: ['ntc1_temperature', 'ntc2_temperature', 'water_sensor']};
+const POLL_MIN_INTERVAL = 10; // s
+const POLL_MAX_BACKOFF = 3600; // s, unless poll_interval itself is longer
+const pollStore = () => (globalThis.__namron4512785_poll__ = globalThis.__namron4512785_poll__ || new Map());
+const pollEntry = (ieeeAddr) => {
+    const store = pollStore();
+    if (!store.has(ieeeAddr)) store.set(ieeeAddr, {timer: null, active: false, failures: 0, reported: {}});
+    return store.get(ieeeAddr);
+};
+const pollSettings = (options = {}) => {
+    let attributes = options.poll_attributes;
+    if (typeof attributes === 'string') attributes = attributes.split(',');
+    attributes = Array.isArray(attributes) ?
+        attributes.map((key) => String(key).trim()).filter((key) => ATTRIBUTE_TARGETS[key]) :
+        POLL_DEFAULTS.attributes;
+    const interval = Number(options.poll_interval);
+    return {
+        enabled: options.poll_enabled !== false,
+        interval: Number.isFinite(interval) && interval >= POLL_MIN_INTERVAL ? interval : POLL_DEFAULTS.interval,
+        attributes,
+    };
+};
+// Remembers when a key last arrived in an attribute report, so polling can skip it
+const trackReports = (converter) => ({
+    ...converter,
+    convert: (model, msg, publish, options, meta) => {
+        const out = converter.convert(model, msg, publish, options, meta);
+        const ieeeAddr = msg.device?.ieeeAddr ?? meta?.device?.ieeeAddr;
+        if (out && msg.type === 'attributeReport' && ieeeAddr) {
+            const entry = pollEntry(ieeeAddr);
+            for (const key of Object.keys(out)) entry.reported[key] = Date.now();
+        }
+        return out;
+    },
+});
+// One read per cluster for every polled key that hasn't reported within the interval; the
+// readResponses are published through fromZigbee as usual.
+const pollOnce = async (device, settings, entry) => {
+    const endpoint = device.getEndpoint(1);
+    if (!endpoint) return;
+    const now = Date.now();
+    const byCluster = new Map();
+    for (const key of settings.attributes) {
+        if (now - (entry.reported[key] ?? -Infinity) < settings.interval * 1000) continue;
+        if (device.meta?.capabilities?.[key] === false) continue;
+        const {cluster, attribute} = ATTRIBUTE_TARGETS[key];
+        if (!byCluster.has(cluster)) byCluster.set(cluster, []);
+        if (!byCluster.get(cluster).includes(attribute)) byCluster.get(cluster).push(attribute);
+    }
+    let succeeded = 0;
+    let failed = 0;
+    for (const [cluster, attributes] of byCluster) {
+        try {
+            await endpoint.read(cluster, attributes);
+            succeeded++;
+        } catch (err) {
+            failed++;
+        }
+    }
+    // Nothing answered: device is likely unreachable, back off exponentially
+    entry.failures = failed && !succeeded ? entry.failures + 1 : 0;
+};
+const stopPolling = (ieeeAddr) => {
+    const entry = pollStore().get(ieeeAddr);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.active = false;
+};
+const schedulePoll = (device, settings) => {
+    const entry = pollEntry(device.ieeeAddr);
+    clearTimeout(entry.timer);
+    entry.active = settings.enabled && settings.attributes.length > 0;
+    if (!entry.active) {
+        entry.timer = null;
+        return;
+    }
+    const delay = Math.min(settings.interval * 2 ** entry.failures, Math.max(POLL_MAX_BACKOFF, settings.interval));
+    entry.timer = setTimeout(async () => {
+        await pollOnce(device, settings, entry);
+        if (entry.active) schedulePoll(device, settings);
+    }, delay * 1000);
+};
+
+// Weekly heating program (schedule option): at each transition the entry's temperature is written to the
+// thermostat_probe's (default ntc1) relay auto temperature. The device keeps enforcing the last written threshold,
+// so it stays safe while Z2M is down. The parsed program, schedule_enabled and schedule_override_until live in
+// device.meta.schedule and the current entry is written again when Z2M starts.
+const SCHEDULE_DAYS = {
+    sun: [0], mon: [1], tue: [2], wed: [3], thu: [4], fri: [5], sat: [6],
+    weekdays: [1, 2, 3, 4, 5], weekend: [0, 6], daily: [0, 1, 2, 3, 4, 5, 6],
+};
+const WEEK_MINUTES = 7 * 24 * 60;
+// [{day, time: 'HH:MM', temperature}] (or its JSON) -> [{minute (of the week, Sunday 00:00 = 0), temperature}]
+const parseSchedule = (value) => {
+    let entries = value;
+    if (typeof entries === 'string') {
+        try {
+            entries = JSON.parse(entries);
+        } catch (err) {
+            throw new Error(`[Namron4512785] schedule is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!Array.isArray(entries)) throw new Error('[Namron4512785] schedule must be a list of {day, time, temperature} entries');
+    const slots = new Map();
+    for (const entry of entries) {
+        const days = SCHEDULE_DAYS[String(entry?.day).toLowerCase()];
+        const time = /^(\d{1,2}):(\d{2})$/.exec(String(entry?.time));
+        if (!days) throw new Error(`[Namron4512785] invalid schedule day: ${entry?.day} (use ${Object.keys(SCHEDULE_DAYS).join(', ')})`);
+        if (!time || Number(time[1]) > 23 || Number(time[2]) > 59) throw new Error(`[Namron4512785] invalid schedule time: ${entry?.time} (use HH:MM)`);
+        const {text: temperature} = parseNumeric(entry.temperature, 'schedule temperature', 100, PRIVATE_ATTRIBUTE_BY_KEY.ntc1_relay_auto_temp);
+        for (const day of days) slots.set(day * 1440 + Number(time[1]) * 60 + Number(time[2]), temperature);
+    }
+    return [...slots].map(([minute, temperature]) => ({minute, temperature})).sort((a, b) => a.minute - b.minute);
+};
+// The entry in force at date (the last transition, wrapping to last week) and when the next one is due
+const scheduleSlots = (slots, date) => {
+    const now = date.getDay() * 1440 + date.getHours() * 60 + date.getMinutes();
+    const current = [...slots].reverse().find((slot) => slot.minute <= now) ?? slots[slots.length - 1];
+    const next = slots.find((slot) => slot.minute > now) ?? slots[0];
+    const minutes = (next.minute - now + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES;
+    const at = new Date(date);
+    at.setSeconds(0, 0);
+    at.setMinutes(at.getMinutes() + minutes);
+    return {current, next: at};
+};
+const SCHEDULE_RETRY = 60; // s, after a failed write
+const stopSchedule = (ieeeAddr) => {
+    const runtime = deviceRuntime(ieeeAddr);
+    clearTimeout(runtime.scheduleTimer);
+    runtime.scheduleTimer = undefined;
+};
+// Writes the current entry (unless disabled, overridden or already written) and sleeps until the next transition
+// or the end of the override; a failed write is retried after SCHEDULE_RETRY
+const runSchedule = async (device, options) => {
+    stopSchedule(device.ieeeAddr);
+    const runtime = deviceRuntime(device.ieeeAddr);
+    const schedule = device.meta?.schedule;
+    if (!schedule?.slots?.length) return;
+    const now = new Date();
+    if (schedule.override_until && new Date(schedule.override_until) <= now) {
+        delete schedule.override_until;
+        device.save?.();
+        runtime.scheduleApplied = undefined;
+    }
+    const {current, next} = scheduleSlots(schedule.slots, now);
+    const key = `${schedule.probe}_relay_auto_temp`;
+    const endpoint = device.getEndpoint(1);
+    let retry;
+    if (schedule.enabled !== false && !schedule.override_until && endpoint && runtime.scheduleApplied !== `${key}:${current.temperature}`) {
+        const attr = PRIVATE_ATTRIBUTE_BY_KEY[key];
+        const failures = await applyPrivate(endpoint, [{attr, ...encodePrivate(attr, current.temperature)}], {device, options});
+        if (failures[key]) {
+            mkLogger().warn(`[Namron4512785] schedule could not set ${key} to ${current.temperature}: ${failures[key]}`);
+            retry = new Date(now.getTime() + SCHEDULE_RETRY * 1000);
+        } else {
+            runtime.scheduleApplied = `${key}:${current.temperature}`;
+            // the readResponse publishes the new threshold through fromZigbee
+            await readPrivateAttributes(endpoint, [key]).catch(() => {});
+        }
+    }
+    let wake = schedule.override_until && new Date(schedule.override_until) < next ? new Date(schedule.override_until) : next;
+    if (retry && retry < wake) wake = retry;
+    runtime.scheduleTimer = setTimeout(() => runSchedule(device, options), Math.max(wake - now, 1000));
+};
+// Takes the schedule option into device.meta.schedule (an absent option keeps the stored program, [] clears it)
+const startSchedule = async (device, options = {}) => {
+    if (!device.meta) return;
+    if (options.schedule !== undefined && options.schedule !== null && options.schedule !== '') {
+        try {
+            const slots = parseSchedule(options.schedule);
+            const probe = thermostatProbe(options) ?? 'ntc1';
+            if (JSON.stringify({slots, probe}) !== JSON.stringify({slots: device.meta.schedule?.slots, probe: device.meta.schedule?.probe})) {
+                device.meta.schedule = {...device.meta.schedule, slots, probe};
+                device.save?.();
+            }
+        } catch (err) {
+            mkLogger().error(`${err.message}; keeping the stored schedule`);
+        }
+    }
+    await runSchedule(device, options);
+};
+
+// Reporting configuration. Tunable measurements get the device options <key>_report_min / <key>_report_max (s) and
+// <key>_report_change (in the published unit; `scale` converts it to raw). Options outside the ZCL limits (uint16
+// intervals, a change the attribute type can carry: `maxChange` raw) are ignored with a warning.
+const ZCL_MAX_INTERVAL = 0xFFFF;
+const REPORTING = {
+    on_time: {cluster: 0x0006, attribute: 0x4001, min: 10, max: 600, change: 1, scale: 10, maxChange: 0xFFFF, unit: 's'},
+    device_temperature: {
+        cluster: 0x0002, attribute: 0x0000, min: 15, max: 600, change: 1, scale: 10, maxChange: 0x7FFF, unit: '°C', tunable: true,
+    },
+    ntc1_temperature: {
+        cluster: 0x0402, attribute: 0x0000, min: 15, max: 600, change: 0.1, scale: 100, maxChange: 0x7FFF, unit: '°C', tunable: true,
+    },
+    voltage: {cluster: 0x0B04, attribute: 0x0505, min: 10, max: 3600, change: 0.1, scale: 10, maxChange: 0xFFFF, unit: 'V', tunable: true},
+    current: {cluster: 0x0B04, attribute: 0x0508, min: 10, max: 3600, change: 0.01, scale: 1000, maxChange: 0xFFFF, unit: 'A', tunable: true},
+    power: {cluster: 0x0B04, attribute: 0x050B, min: 10, max: 3600, change: 5, scale: 1, maxChange: 0x7FFF, unit: 'W', tunable: true},
+    energy: {cluster: 0x0702, attribute: 0x0000, min: 30, max: 3600, change: 0.01, scale: 100, maxChange: 0xFFFFFF, unit: 'kWh', tunable: true},
+    ntc2_temperature: {
+        cluster: PRIVATE_CLUSTER, attribute: 'measuredValue2', min: 15, max: 600, change: 0.1, scale: 100, maxChange: 0x7FFF, unit: '°C',
+        tunable: true,
+    },
+    water_sensor: {cluster: PRIVATE_CLUSTER, attribute: 'waterSensorValue', min: 1, max: 300, change: 1, scale: 1, maxChange: 1, unit: ''},
+};
+const reportingProblem = ({min, max, change}, entry) => {
+    if (![min, max].every((v) => Number.isInteger(v) && v >= 0 && v <= ZCL_MAX_INTERVAL)) {
+        return `intervals must be whole seconds from 0 to ${ZCL_MAX_INTERVAL}`;
+    }
+    // max 0 (no periodic reports) and 0xFFFF (reporting off) don't bound the minimum
+    if (max !== 0 && max !== ZCL_MAX_INTERVAL && min > max) return `minimum ${min} s is above maximum ${max} s`;
+    const raw = Math.round(change * entry.scale);
+    if (!Number.isFinite(raw) || raw < 0 || raw > entry.maxChange) return `change must be 0 to ${entry.maxChange / entry.scale} ${entry.unit}`;
 };
+// configureReporting item for a REPORTING key with the device options applied
+const reportingItem = (key, options = {}, L) => {
+    const entry = REPORTING[key];
+    let settings = {min: entry.min, max: entry.max, change: entry.change};
+    if (entry.tunable) {
+        const option = (suffix) => {
+            const value = options[`${key}_report_${suffix}`];
+            return value === undefined || value === null || value === '' ? undefined : Number(value);
+        };
+        const requested = {min: option('min') ?? entry.min, max: option('max') ?? entry.max, change: option('change') ?? entry.change};
+        const problem = reportingProblem(requested, entry);
+        if (problem) L?.warn(`[Namron4512785] ${key} reporting options ignored: ${problem}`);
+        else settings = requested;
+    }
+    return {
+        attribute: entry.attribute,
+        minimumReportInterval: settings.min,
+        maximumReportInterval: settings.max,
+        reportableChange: Math.round(settings.change * entry.scale),
+    };
+};
+const clusterLabel = (cluster) => (cluster === PRIVATE_CLUSTER ? 'private cluster 0x04E0' :
+    `cluster 0x${cluster.toString(16).toUpperCase().padStart(4, '0')}`);
+// One configureReporting per cluster; if a cluster rejects the batch, each attribute is tried alone so one
+// unsupported attribute doesn't take the others down.
+const applyReporting = async (endpoint, keys, options, L) => {
+    const byCluster = new Map();
+    for (const key of keys) {
+        const {cluster} = REPORTING[key];
+        if (!byCluster.has(cluster)) byCluster.set(cluster, []);
+        byCluster.get(cluster).push(key);
+    }
+    for (const [cluster, clusterKeys] of byCluster) {
+        const items = clusterKeys.map((key) => reportingItem(key, options, L));
+        try {
+            await endpoint.configureReporting(cluster, items);
+        } catch (err) {
+            L.warn(`[Namron4512785] ${clusterLabel(cluster)} reporting failed for ${clusterKeys.join(', ')}: ${err}`);
+            if (items.length === 1) continue;
+            for (const [i, item] of items.entries()) {
+                try {
+                    await endpoint.configureReporting(cluster, [item]);
+                } catch (itemErr) {
+                    L.warn(`[Namron4512785] ${clusterLabel(cluster)} reporting failed for ${clusterKeys[i]}: ${itemErr}`);
+                }
+            }
+        }
+    }
+};
+// Tunable keys whose effective reporting differs between two option sets
+const changedReporting = (from = {}, to = {}) => Object.keys(REPORTING).filter((key) => REPORTING[key].tunable &&
+    JSON.stringify(reportingItem(key, from)) !== JSON.stringify(reportingItem(key, to)));
+const reportingOptions = () => Object.entries(REPORTING).filter(([, entry]) => entry.tunable).flatMap(([key, entry]) => [
+    e.numeric(`${key}_report_min`, ea.SET).withUnit('s').withValueMin(0).withValueMax(ZCL_MAX_INTERVAL)
+        .withDescription(`Minimum reporting interval for ${key} (default ${entry.min})`),
+    e.numeric(`${key}_report_max`, ea.SET).withUnit('s').withValueMin(0).withValueMax(ZCL_MAX_INTERVAL)
+        .withDescription(`Maximum reporting interval for ${key}; 0 = only on change (default ${entry.max})`),
+    e.numeric(`${key}_report_change`, ea.SET).withUnit(entry.unit).withValueMin(0).withValueMax(entry.maxChange / entry.scale)
+        .withDescription(`Change of ${key} that triggers a report (default ${entry.change})`),
+]);
 
-// Global polling setup
-const g = globalThis;
-g.__namron4512785_poll__ = g.__namron4512785_poll__ || new Map();
+// OEM identifiers some units interview with (Basic cluster in reference/4512785-Cluster-47_extra.json: manufacturer
+// "RedBox", model "MeterSmartPlug", also seen as "MeterSmart Plug"). zhc compares fingerprint cluster lists exactly,
+// so the 0x04E0 check is made in configure instead: it only logs, any RedBox plug with these IDs still matches.
+const OEM_MANUFACTURER = 'RedBox';
+const OEM_MODEL_IDS = ['MeterSmartPlug', 'MeterSmart Plug'];
 
 // Export as array per docs
 export default [
     {
         zigbeeModel: ['4512785'],
+        fingerprint: OEM_MODEL_IDS.map((modelID) => ({manufacturerName: OEM_MANUFACTURER, modelID})),
         model: '4512785',
         vendor: 'Namron AS',
         description: 'Namron Zigbee 30A relay (numeric-ID external converter)',
-        extend: [m.onOff({powerOnBehavior: true})],
+        extend: [
+            m.onOff({powerOnBehavior: true}),
+            m.deviceAddCustomCluster(PRIVATE_CLUSTER, PRIVATE_CLUSTER_DEFINITION),
+        ],
         fromZigbee: [
+            fzLocal.on_time_num,
+            fzLocal.overload_guard,
+            fzLocal.relay_watch,
             fzLocal.device_temp_num,
             fzLocal.temp_measurement_num,
             fzLocal.private_04e0_num,
             fzLocal.electrical_num,
             fzLocal.metering_num,
+        ].map(trackReports),
+        toZigbee: [tzLocal.on_off_timed, tzLocal.get_attribute, tzLocal.set_private_attribute, tzLocal.device_temp_threshold, tzLocal.clear_alarm,
+            tzLocal.overload_reset, tzLocal.reprobe, tzLocal.export_config, tzLocal.import_config,
+            tzLocal.preset, tzLocal.leak_acknowledged, tzLocal.thermostat, tzLocal.schedule],
+        options: [
+            e.binary('poll_enabled', ea.SET, true, false)
+                .withDescription('Poll the device as a backstop for missed reports (default true)'),
+            e.numeric('poll_interval', ea.SET).withUnit('s').withValueMin(POLL_MIN_INTERVAL)
+                .withDescription(`Polling interval; backs off exponentially (up to ${POLL_MAX_BACKOFF} s) while the device is unreachable (default ${POLL_DEFAULTS.interval})`),
+            e.text('poll_attributes', ea.SET)
+                .withDescription(`Comma-separated keys to poll; keys that reported within the interval are skipped (default ${POLL_DEFAULTS.attributes.join(',')})`),
+            e.numeric('energy_price', ea.SET).withValueMin(0).withValueStep(0.0001)
+                .withDescription('Price per kWh; when set, energy_today/yesterday/this_month/last_month are also published as *_cost'),
+            e.binary('verify_writes', ea.SET, true, false)
+                .withDescription('Read 0x04E0 settings back after writing them and fail the set when the device holds something else'),
+            e.numeric('drift_check_interval', ea.SET).withUnit('s').withValueMin(0)
+                .withDescription(`How often the 0x04E0 settings are compared with the last values set from Z2M (config_drift); ` +
+                    `0 disables, minimum ${DRIFT_MIN_INTERVAL} (default ${DRIFT_DEFAULT_INTERVAL})`),
+            e.binary('drift_auto_reapply', ea.SET, true, false)
+                .withDescription('Write the last values set from Z2M back when the device reports different settings (default false)'),
+            e.numeric('water_sensor_leak_delay', ea.SET).withUnit('s').withValueMin(0).withValueMax(3600)
+                .withDescription('Publish water_sensor true only once a leak persisted this long (default 0 = immediately); ' +
+                    'the device\'s own water_alarm_relay_action is not delayed'),
+            e.numeric('water_sensor_dry_delay', ea.SET).withUnit('s').withValueMin(0).withValueMax(3600)
+                .withDescription('Publish water_sensor false only once the sensor stayed dry this long (default 0 = immediately)'),
+            e.numeric('water_sensor_flap_count', ea.SET).withValueMin(0).withValueMax(100)
+                .withDescription(`water_sensor_flapping turns on above this many sensor changes within water_sensor_flap_window ` +
+                    `(default ${WATER_FLAP_DEFAULT_COUNT}, 0 disables)`),
+            e.numeric('water_sensor_flap_window', ea.SET).withUnit('s').withValueMin(1).withValueMax(86400)
+                .withDescription(`Window for water_sensor_flapping (default ${WATER_FLAP_DEFAULT_WINDOW})`),
+            e.enum('thermostat_probe', ea.SET, THERMOSTAT_PROBES)
+                .withDescription('Expose a heating thermostat (climate) driven by this NTC probe; control still runs on the device ' +
+                    'through the probe\'s operation mode, relay auto temperature and hysteresis (empty = no thermostat)'),
+            e.numeric('thermostat_hysteresis', ea.SET).withUnit('°C').withValueMin(INT8_TENTHS.step).withValueMax(INT8_TENTHS.max)
+                .withValueStep(INT8_TENTHS.step)
+                .withDescription(`Hysteresis written with the thermostat setpoint (default ${THERMOSTAT_DEFAULT_HYSTERESIS})`),
+            e.text('schedule', ea.SET)
+                .withDescription('Weekly program written to the thermostat_probe\'s (default ntc1) relay auto temperature at each ' +
+                    'transition, as JSON: [{"day": "weekdays", "time": "06:00", "temperature": 22}, ...]. day: mon-sun, weekdays, ' +
+                    'weekend or daily; [] removes the program'),
+            e.numeric('rate_of_rise_limit', ea.SET).withUnit('°C/min').withValueMin(0).withValueMax(20).withValueStep(0.1)
+                .withDescription('Raise rate_of_rise_alarm when an NTC probe rises faster than this (empty/0 = disabled)'),
+            ...reportingOptions(),
+            e.numeric('max_current', ea.SET).withUnit('A').withValueMin(0).withValueMax(40).withValueStep(0.1)
+                .withDescription('Software overload protection: switch the relay off when current stays above this (empty/0 = disabled)'),
+            e.numeric('max_power', ea.SET).withUnit('W').withValueMin(0).withValueMax(10000)
+                .withDescription('Software overload protection: switch the relay off when power stays above this (empty/0 = disabled)'),
+            e.numeric('overload_delay', ea.SET).withUnit('s').withValueMin(0).withValueMax(3600)
+                .withDescription(`How long current/power must stay above the limit before the relay is switched off (default ${OVERLOAD_DEFAULT_DELAY})`),
         ],
-        toZigbee: [tzLocal.get_attribute, tzLocal.set_private_attribute],
-        exposes: [
+        exposes: (device, options) => [
+            // Timed on (boost) - remaining run time counted down by the device
+            e.numeric('on_time', ea.ALL).withUnit('s')
+                .withValueMin(ON_TIME_RANGE.min).withValueMax(ON_TIME_RANGE.max).withValueStep(ON_TIME_RANGE.step)
+                .withDescription('Remaining on time; send together with state ON to switch on for this many seconds'),
+            e.numeric('off_wait_time', ea.ALL).withUnit('s')
+                .withValueMin(ON_TIME_RANGE.min).withValueMax(ON_TIME_RANGE.max).withValueStep(ON_TIME_RANGE.step)
+                .withDescription('Time after a timed on during which the relay ignores further on commands'),
             // Electrical measurements with custom scaling
             e.numeric('voltage', ea.STATE | ea.STATE_GET).withUnit('V').withDescription('RMS voltage'),
             e.numeric('current', ea.STATE | ea.STATE_GET).withUnit('A').withDescription('RMS current'),
             e.numeric('power', ea.STATE | ea.STATE_GET).withUnit('W').withDescription('Active power'),
+            e.numeric('apparent_power', ea.STATE).withUnit('VA').withDescription('Apparent power (voltage × current)'),
+            e.numeric('power_factor', ea.STATE).withValueMin(0).withValueMax(1)
+                .withDescription('Power factor (active power / apparent power)'),
+            e.binary('measurement_inconsistent', ea.STATE, true, false).withCategory('diagnostic')
+                .withDescription('Active power is clearly above voltage × current, a measurement or scaling is off'),
+            // Optional 0x0B04 attributes, only exposed once the probe found them
+            ...Object.entries(ELECTRICAL_EXTRAS)
+                .map(([extra, {unit, description}]) => e.numeric(extra, ea.STATE).withUnit(unit).withDescription(description)),
             e.numeric('energy', ea.STATE | ea.STATE_GET).withUnit('kWh').withDescription('Total energy consumed'),
+            e.numeric('energy_today', ea.STATE).withUnit('kWh').withDescription('Energy consumed since local midnight'),
+            e.numeric('energy_yesterday', ea.STATE).withUnit('kWh').withDescription('Energy consumed yesterday'),
+            e.numeric('energy_this_month', ea.STATE).withUnit('kWh').withDescription('Energy consumed since the 1st of this month'),
+            e.numeric('energy_last_month', ea.STATE).withUnit('kWh').withDescription('Energy consumed last month'),
+            e.numeric('energy_today_cost', ea.STATE).withDescription('Cost of energy_today (energy_price option)'),
+            e.numeric('energy_yesterday_cost', ea.STATE).withDescription('Cost of energy_yesterday (energy_price option)'),
+            e.numeric('energy_this_month_cost', ea.STATE).withDescription('Cost of energy_this_month (energy_price option)'),
+            e.numeric('energy_last_month_cost', ea.STATE).withDescription('Cost of energy_last_month (energy_price option)'),
             // Device-specific sensors
             e.numeric('device_temperature', ea.STATE | ea.STATE_GET).withUnit('°C').withDescription('Internal device temperature'),
+            e.numeric('device_temp_low_threshold', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
+                .withValueMin(DEVICE_TEMP_THRESHOLD_RANGE.min).withValueMax(DEVICE_TEMP_THRESHOLD_RANGE.max)
+                .withValueStep(DEVICE_TEMP_THRESHOLD_RANGE.step)
+                .withDescription('Internal temperature below which the device raises its low temperature alarm'),
+            e.numeric('device_temp_high_threshold', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
+                .withValueMin(DEVICE_TEMP_THRESHOLD_RANGE.min).withValueMax(DEVICE_TEMP_THRESHOLD_RANGE.max)
+                .withValueStep(DEVICE_TEMP_THRESHOLD_RANGE.step)
+                .withDescription('Internal temperature above which the device raises its high temperature (overheat) alarm'),
+            e.binary('device_temp_low_alarm', ea.STATE | ea.STATE_GET, true, false)
+                .withDescription('Internal temperature is below device_temp_low_threshold'),
+            e.binary('device_temp_high_alarm', ea.STATE | ea.STATE_GET, true, false)
+                .withDescription('Internal temperature is above device_temp_high_threshold (relay running hot)'),
             e.numeric('ntc1_temperature', ea.STATE | ea.STATE_GET).withUnit('°C').withDescription('External NTC1 temperature'),
-            e.numeric('ntc2_temperature', ea.STATE | ea.STATE_GET).withUnit('°C').withDescription('External NTC2 temperature'),
-            e.binary('water_sensor', ea.STATE | ea.STATE_GET, true, false).withDescription('External water sensor (true=water detected)'),
-            e.enum('ntc1_sensor_type', ea.ALL, Object.keys(NTC_TYPE_MAP))
-                .withDescription('Select NTC probe type for temperature sensor #1'),
-            e.enum('ntc2_sensor_type', ea.ALL, Object.keys(NTC_TYPE_MAP))
-                .withDescription('Select NTC probe type for temperature sensor #2'),
-            e.enum('water_alarm_relay_action', ea.STATE_SET | ea.STATE_GET, Object.keys(WATER_RELAY_ACTION_MAP))
-                .withDescription('How should the relay react when water sensor detects a leak?'),
-            e.enum('ntc1_operation_mode', ea.STATE_SET | ea.STATE_GET, Object.keys(NTC1_OPERATION_MAP))
-                .withDescription('How should relay react to NTC1 temperature? (Hot = above threshold, Cold = below threshold)'),
-            e.enum('ntc2_operation_mode', ea.STATE_SET | ea.STATE_GET, Object.keys(NTC2_OPERATION_MAP))
-                .withDescription('How should relay react to NTC2 temperature? (Hot = above threshold, Cold = below threshold)'),
-            e.numeric('ntc1_relay_auto_temp', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature threshold for NTC1 relay control (0-100°C, works with ntc1_operation_mode)'),
-            e.numeric('ntc2_relay_auto_temp', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature threshold for NTC2 relay control (0-100°C, works with ntc2_operation_mode)'),
-            e.enum('override_option', ea.STATE_SET | ea.STATE_GET, Object.keys(OVERRIDE_OPTION_MAP))
-                .withDescription('Which condition wins if both water alarm and temperature trigger at the same time?'),
-            e.numeric('ntc1_calibration', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature calibration offset for NTC1 (-10 to +10°C)'),
-            e.numeric('ntc2_calibration', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature calibration offset for NTC2 (-10 to +10°C)'),
-            e.numeric('ntc1_temp_hysteresis', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature hysteresis for NTC1 to prevent rapid switching (-10 to +10°C)'),
-            e.numeric('ntc2_temp_hysteresis', ea.STATE_SET | ea.STATE_GET).withUnit('°C')
-                .withDescription('Temperature hysteresis for NTC2 to prevent rapid switching (-10 to +10°C)'),
-            e.binary('water_condition_alarm', ea.STATE, true, false)
-                .withDescription('Water leak alarm status (true=alarm active)'),
-            e.binary('ntc_condition_alarm', ea.STATE, true, false)
-                .withDescription('NTC temperature alarm status (true=alarm active)'),
-            e.binary('is_execute_condition', ea.STATE, true, false)
-                .withDescription('Indicates if current conditions will trigger relay action'),
-        ],
+            e.enum('ntc1_probe_status', ea.STATE, NTC_PROBE_STATUSES).withCategory('diagnostic')
+                .withDescription('NTC1 probe state; ntc1_temperature is null unless ok'),
+            e.enum('ntc2_probe_status', ea.STATE, NTC_PROBE_STATUSES).withCategory('diagnostic')
+                .withDescription('NTC2 probe state; ntc2_temperature is null unless ok'),
+            ...[1, 2].flatMap((n) => [
+                e.numeric(`ntc${n}_rate`, ea.STATE).withUnit('°C/min')
+                    .withDescription(`NTC${n} temperature change over the last ${NTC_RATE_WINDOW / 60} minutes`),
+                e.numeric(`ntc${n}_min_24h`, ea.STATE).withUnit('°C').withDescription(`Lowest NTC${n} temperature in the last 24 h`),
+                e.numeric(`ntc${n}_max_24h`, ea.STATE).withUnit('°C').withDescription(`Highest NTC${n} temperature in the last 24 h`),
+            ]),
+            e.binary('rate_of_rise_alarm', ea.STATE, true, false)
+                .withDescription('An NTC probe rises faster than rate_of_rise_limit, before ntcX_relay_auto_temp is reached'),
+            // Private cluster 0x04E0: NTC2, water sensor, NTC/water automation settings and alarm flags
+            ...PRIVATE_ATTRIBUTES.map(privateExpose),
+            e.binary('overload_tripped', ea.STATE, true, false)
+                .withDescription('Software overload protection has switched the relay off; it stays off until overload_reset'),
+            e.text('overload_reason', ea.STATE).withDescription('Which limit tripped the software overload protection'),
+            e.enum('overload_reset', ea.SET, ['reset']).withDescription('Release the software overload protection latch'),
+            e.enum('clear_alarm', ea.SET, ['clear'])
+                .withDescription('Clear latched water/NTC alarms (needed after "stay off"/"stay on" actions have triggered)'),
+            e.binary('water_sensor_flapping', ea.STATE, true, false).withCategory('diagnostic')
+                .withDescription('The water sensor changes too often (e.g. condensation on the pads); see water_sensor_flap_count'),
+            e.text('last_leak_start', ea.STATE).withDescription('When the last leak started (ISO 8601)'),
+            e.numeric('last_leak_duration', ea.STATE).withUnit('s')
+                .withDescription('How long the last leak lasted; null while it is ongoing or when it was only seen as a latched alarm'),
+            e.binary('last_leak_relay_acted', ea.STATE, true, false)
+                .withDescription('The relay was in the state water_alarm_relay_action asks for during the last leak (null if not known)'),
+            e.numeric('leak_count', ea.STATE).withDescription('Leaks recorded since pairing'),
+            e.binary('leak_acknowledged', ea.STATE_SET, true, false)
+                .withDescription('Set once the last leak has been looked at; a new leak resets it'),
+            e.text('control_reason', ea.STATE)
+                .withDescription('Why the relay is on or off, e.g. "OFF: water alarm (latched), water has priority over NTC" or "ON: manual"'),
+            e.text('config_warnings', ea.STATE).withCategory('diagnostic')
+                .withDescription('Settings that contradict each other, e.g. an NTC operation mode while its sensor type is None'),
+            e.binary('config_drift', ea.STATE, true, false).withCategory('diagnostic')
+                .withDescription('Device 0x04E0 settings differ from the last values set from Z2M'),
+            e.text('config_drift_keys', ea.STATE).withCategory('diagnostic').withDescription('Settings that differ (config_drift)'),
+            e.enum('preset', ea.STATE_SET, [...Object.keys(PRESETS), 'custom'])
+                .withDescription('Apply a coherent settings bundle: floor_heating (NTC1 floor limit 27 °C), frost_guard (NTC1 keeps ' +
+                    'above 5 °C), water_heater (NTC1 overheat cut-off at 85 °C, latched), leak_shutoff (water alarm turns off, ' +
+                    'latched). The NTC1 presets need ntc1_sensor_type set first. Reads custom when the settings match none of them'),
+            e.binary('schedule_enabled', ea.STATE_SET, true, false)
+                .withDescription('Follow the weekly program (schedule option); the last written temperature stays when disabled'),
+            e.text('schedule_override_until', ea.STATE_SET)
+                .withDescription('Pause the weekly program until this ISO 8601 date/time, e.g. to hold a manual temperature; empty resumes it'),
+            e.enum('export_config', ea.SET, ['export'])
+                .withDescription('Read all settings and publish them as one JSON object in config_export (a payload attribute, ' +
+                    'not an entity)'),
+            e.text('import_config', ea.SET)
+                .withDescription('Write a config_export object (from this or another relay); per-key results in import_config_result'),
+            e.text('import_config_result', ea.STATE)
+                .withDescription('Outcome of the last import_config per key: ok or error with the reason'),
+            e.enum('reprobe', ea.SET, ['probe'])
+                .withDescription('Probe again which attributes the firmware supports (e.g. after a firmware update)'),
+            ...(!device || device.isDummyDevice || thermostatProbe(options) ? [
+                e.climate().withLocalTemperature(ea.STATE, 'Temperature of the thermostat_probe NTC')
+                    .withSetpoint('occupied_heating_setpoint', 0, 100, 0.5)
+                    .withSystemMode(['off', 'heat'], ea.STATE_SET, 'heat: the device switches the relay on below the setpoint ' +
+                        '(minus the hysteresis) and off above it; off: no NTC control and the relay off')
+                    .withRunningState(['idle', 'heat'], ea.STATE),
+            ] : []),
+        ].filter((expose) => isExposed(device, expose.name)),
         configure: async (device, coordinatorEndpoint, logger) => {
             const L = mkLogger(logger);
             const endpoint = device.getEndpoint(1);
@@ -554,6 +2119,11 @@ export default [
                 return;
             }
             L.info(`[Namron4512785] using endpoint ${endpoint.ID}`);
+            if (Array.isArray(endpoint.inputClusters) && !endpoint.inputClusters.includes(CLUSTER_IDS[PRIVATE_CLUSTER])) {
+                L.error(`[Namron4512785] ${device.manufacturerName}/${device.modelID} has no 0x04E0 cluster on endpoint 1: probably ` +
+                    'not the Namron 30A relay; NTC2, water sensor and automation settings stay hidden');
+            }
+            addPrivateCluster(device);
             try {
                 // Bind common clusters (skip private 0x04E0)
                 await reporting.bind(endpoint, coordinatorEndpoint, [
@@ -567,131 +2137,89 @@ export default [
                 L.warn(`[Namron4512785] bind failed: ${err}`);
             }
 
-            // Configure reporting using helpers where available
             try { await reporting.onOff(endpoint); } catch (err) { L.warn(`[Namron4512785] onOff rpt failed: ${err}`); }
-            try { await reporting.temperature(endpoint, {min: 15, max: 600, change: 10}); } catch (err) { L.warn(`[Namron4512785] temp rpt failed: ${err}`); }
-            try { await reporting.rmsVoltage(endpoint, {min: 10, max: 3600, change: 1}); } catch (err) { L.warn(`[Namron4512785] volt rpt failed: ${err}`); }
-            try { await reporting.rmsCurrent(endpoint, {min: 10, max: 3600, change: 10}); } catch (err) { L.warn(`[Namron4512785] curr rpt failed: ${err}`); }
-            try { await reporting.activePower(endpoint, {min: 10, max: 3600, change: 5}); } catch (err) { L.warn(`[Namron4512785] power rpt failed: ${err}`); }
 
-            // Manual reporting for 0x0002 currentTemperature
+            // 0x0002 Device Temp Alarm Mask (0x0010), so low/high alarms are pushed without polling
             try {
                 await endpoint.configureReporting(0x0002, [{
-                    attribute: 0x0000,
-                    minimumReportInterval: 15,
-                    maximumReportInterval: 600,
-                    reportableChange: 10,
-                }]);
-            } catch (err) { L.warn(`[Namron4512785] device temp rpt failed: ${err}`); }
-
-            // Basic metering: report currentSummationDelivered (0x0000)
-            try {
-                await endpoint.configureReporting(0x0702, [{
-                    attribute: 0x0000,
-                    minimumReportInterval: 30,
+                    attribute: 0x0010,
+                    minimumReportInterval: 1,
                     maximumReportInterval: 3600,
-                    reportableChange: 1,
+                    reportableChange: 0,
                 }]);
-            } catch (err) { L.warn(`[Namron4512785] metering rpt failed: ${err}`); }
+            } catch (err) { L.warn(`[Namron4512785] device temp alarm mask rpt failed: ${err}`); }
 
-            // Configure reporting for cluster 0x0402 (NTC1 temperature)
-            try {
-                await endpoint.configureReporting(0x0402, [{
-                    attribute: 0x0000,
-                    minimumReportInterval: 15,
-                    maximumReportInterval: 600,
-                    reportableChange: 10, // 0.1°C (raw is ×100)
-                }]);
-                L.info('[Namron4512785] configured reporting for 0x0402 (NTC1 temp)');
-            } catch (err) { 
-                L.warn(`[Namron4512785] 0x0402 reporting config failed: ${err}`); 
-            }
+            // Measurements (REPORTING) with the device's reporting options; the private cluster 0x04E0 entries
+            // (NTC2 temperature, water sensor) are CRITICAL: the device may not report them on its own otherwise
+            await applyReporting(endpoint, Object.keys(REPORTING), deviceRuntime(device.ieeeAddr).options, L);
 
-            // CRITICAL: Configure reporting for private cluster 0x04E0 (NTC temps, water sensor)
-            // Without this, the device may not report temperature/water changes automatically
-            try {
-                await endpoint.configureReporting(0x04E0, [
-                    {
-                        attribute: 0x0000, // ntc2_temperature
-                        minimumReportInterval: 15,
-                        maximumReportInterval: 600,
-                        reportableChange: 10, // 0.1°C (raw is ×100)
-                    },
-                    {
-                        attribute: 0x0003, // water_sensor
-                        minimumReportInterval: 1,
-                        maximumReportInterval: 300,
-                        reportableChange: 1,
-                    },
-                ]);
-                L.info('[Namron4512785] configured reporting for private cluster 0x04E0');
-            } catch (err) { 
-                L.warn(`[Namron4512785] private cluster 0x04E0 reporting failed (may not be supported): ${err}`); 
-            }
+            // Probe every attribute once: stores device.meta.capabilities for exposes and seeds the initial state
+            // (the readResponses go through fromZigbee like any other)
+            await probeCapabilities(device, endpoint, L);
 
-            // Proactively read key attributes once to seed initial state
-            const safeRead = async (cluster, attrs, label) => {
-                try {
-                    await endpoint.read(cluster, attrs);
-                    L.info(`[Namron4512785] initial read OK for ${label}`);
-                } catch (err) {
-                    L.warn(`[Namron4512785] initial read failed for ${label}: ${err}`);
-                }
-            };
-
-            await safeRead('genOnOff', [0x0000], 'genOnOff:0x0000');
-            await safeRead('genDeviceTempCfg', [0x0000], 'genDeviceTempCfg:0x0000');
-            await safeRead('msTemperatureMeasurement', [0x0000], 'msTemperatureMeasurement:0x0000');
-            await safeRead('haElectricalMeasurement', [0x0505, 0x0508, 0x050B], 'haElectricalMeasurement:volt/curr/power');
-            await safeRead('seMetering', [0x0000], 'seMetering:energy');
-            
-            // Private cluster 0x04E0: Read temps, water sensor, and CRITICAL config (NTC sensor types)
-            await safeRead(0x04E0, [0x0000, 0x0003], '0x04E0:ntc2_temp/water_sensor');
-            await safeRead(0x04E0, [0x0001, 0x0002], '0x04E0:ntc1_type/ntc2_type');
-            await safeRead(0x04E0, [0x0007, 0x0008], '0x04E0:ntc1_operation/ntc2_operation');
-            
             L.info('[Namron4512785] IMPORTANT: Set ntc1_sensor_type and ntc2_sensor_type (r1-r6) to enable temperature reporting!');
         },
-        onEvent: async (type, data, device) => {
+        onEvent: async (type, data, device, options) => {
+            // zhc passes a single event object ({type, data: {device, options}}), older versions positional args
             let eventType = type;
             let eventDevice = device;
-            
+            let eventOptions = options;
+            let eventData = data;
             if (typeof type === 'object' && type !== null && 'type' in type) {
                 eventType = type.type;
-                eventDevice = type.device;
-            }
-            
-            if (!eventDevice?.ieeeAddr) return;
-            
-            const key = eventDevice.ieeeAddr;
-            const store = globalThis.__namron4512785_poll__ = globalThis.__namron4512785_poll__ || new Map();
-            
+                eventData = type.data;
+                eventDevice = type.data?.device;
+                eventOptions = type.data?.options;
+            }
+
+            const key = eventDevice?.ieeeAddr ?? eventData?.ieeeAddr;
+            if (!key) return;
+            const runtime = deviceRuntime(key);
+            const previousOptions = eventData?.from ?? runtime.options;
+            if (eventOptions) runtime.options = eventOptions;
+
             // Cleanup on stop
             if (eventType === 'stop') {
-                const timer = store.get(key);
-                if (timer) {
-                    clearInterval(timer);
-                    store.delete(key);
-                }
+                stopPolling(key);
+                pollStore().delete(key);
+                stopDriftCheck(key);
+                runtime.reapply = undefined;
+                stopWaterDebounce(key);
+                stopSchedule(key);
+                runtime.scheduleApplied = undefined;
+                clearTimeout(runtime.overloadTimer);
+                runtime.overloadTimer = undefined;
                 return;
             }
-            
-            // Skip if not a device event or already polling
-            if (eventType === 'start' || store.has(key)) return;
-            
-            // Start 60-second polling for temperature updates
-            const timer = setInterval(async () => {
-                try {
-                    const ep = eventDevice.getEndpoint(1);
-                    if (!ep) return;
-                    await ep.read('msTemperatureMeasurement', [0x0000]);
-                    await ep.read(0x04E0, [0x0000, 0x0003]);
-                } catch (e) {
-                    // Silently ignore polling errors
-                }
-            }, 60000);
-            
-            store.set(key, timer);
+            if (!eventDevice) return;
+            // zhc runs this before the start handler of deviceAddCustomCluster, and the schedule and drift check below
+            // already talk to the private cluster
+            addPrivateCluster(eventDevice);
+
+            // Reporting options changed: re-apply configureReporting for what actually changed, no re-pairing needed
+            if (eventType === 'deviceOptionsChanged') {
+                const changed = changedReporting(previousOptions, eventOptions);
+                const endpoint = eventDevice.getEndpoint?.(1);
+                if (changed.length && endpoint) await applyReporting(endpoint, changed, eventOptions, mkLogger());
+            }
+
+            // Back from a power cut: compare the settings right away
+            if (eventType === 'deviceAnnounce') await checkDrift(eventDevice);
+            if (eventType === 'deviceOptionsChanged' || !deviceRuntime(key).driftTimer) {
+                scheduleDriftCheck(eventDevice, driftSettings(eventOptions));
+            }
+
+            // Weekly program: written again on start and whenever the options change; back from a power cut an entry
+            // that could not be written is retried right away
+            if (eventType === 'deviceOptionsChanged' || !deviceRuntime(key).scheduleTimer ||
+                (eventType === 'deviceAnnounce' && !runtime.scheduleApplied)) {
+                await startSchedule(eventDevice, eventOptions ?? runtime.options);
+            }
+
+            // (Re)start polling with the device options; keep a running poll on other events
+            if (eventType === 'deviceOptionsChanged' || !pollEntry(key).active) {
+                schedulePoll(eventDevice, pollSettings(eventOptions));
+            }
         },
     },
 ];
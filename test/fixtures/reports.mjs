@@ -0,0 +1,159 @@
+// Attribute reports / read responses as the relay sends them, with the state each one must publish.
+// Several entries pin down past scaling regressions (see .github/copilot-instructions.md).
+export default [
+    {
+        description: 'voltage /10',
+        cluster: 'haElectricalMeasurement',
+        data: {rmsVoltage: 2319},
+        expected: {voltage: 231.9},
+    },
+    {
+        description: 'current /1000 rounded to 2 decimals',
+        cluster: 'haElectricalMeasurement',
+        data: {rmsCurrent: 3290},
+        expected: {current: 3.29},
+    },
+    {
+        description: 'power is reported in W and must not be divided (v1.2.4 regression)',
+        cluster: 'haElectricalMeasurement',
+        data: {activePower: 1873},
+        expected: {power: 1873},
+    },
+    {
+        description: 'numeric electrical attribute IDs',
+        cluster: 'haElectricalMeasurement',
+        data: {0x0505: 2301, 0x0508: 12345, 0x050B: 2840},
+        expected: {
+            voltage: 230.1, current: 12.35, power: 2840,
+            apparent_power: 2841.7, power_factor: 1, measurement_inconsistent: false,
+        },
+    },
+    {
+        description: 'apparent power and power factor from one frame',
+        cluster: 'haElectricalMeasurement',
+        data: {rmsVoltage: 2300, rmsCurrent: 2000, activePower: 276},
+        expected: {
+            voltage: 230, current: 2, power: 276,
+            apparent_power: 460, power_factor: 0.6, measurement_inconsistent: false,
+        },
+    },
+    {
+        description: 'optional reactive power and frequency',
+        cluster: 'haElectricalMeasurement',
+        data: {reactivePower: 120, 0x0300: 50},
+        expected: {reactive_power: 120, ac_frequency: 50},
+    },
+    {
+        description: 'energy from the shortened currentSummDelivered key (v1.2.4 regression)',
+        cluster: 'seMetering',
+        data: {currentSummDelivered: 28427},
+        expected: {energy: 284.27, energy_today: 0, energy_yesterday: 0, energy_this_month: 0, energy_last_month: 0},
+    },
+    {
+        description: 'energy from the standard currentSummationDelivered key',
+        cluster: 'seMetering',
+        data: {currentSummationDelivered: 100},
+        expected: {energy: 1, energy_today: 0, energy_yesterday: 0, energy_this_month: 0, energy_last_month: 0},
+    },
+    {
+        description: 'device temperature /10',
+        cluster: 'genDeviceTempCfg',
+        data: {currentTemperature: 412},
+        expected: {device_temperature: 41.2},
+    },
+    {
+        description: 'device temperature invalid sentinel is dropped',
+        cluster: 'genDeviceTempCfg',
+        data: {currentTemperature: -32768},
+        expected: undefined,
+    },
+    {
+        description: 'device temperature alarm mask and thresholds',
+        cluster: 'genDeviceTempCfg',
+        data: {devTempAlarmMask: 0x02, lowTempThres: -100, highTempThres: 1100},
+        expected: {
+            device_temp_low_alarm: false, device_temp_high_alarm: true,
+            device_temp_low_threshold: -10, device_temp_high_threshold: 110,
+        },
+    },
+    {
+        description: 'NTC1 temperature /100 rounded to 1 decimal',
+        cluster: 'msTemperatureMeasurement',
+        data: {measuredValue: 2156},
+        expected: {ntc1_temperature: 21.6, ntc1_probe_status: 'ok', ntc1_min_24h: 21.6, ntc1_max_24h: 21.6},
+    },
+    {
+        description: 'on time / off wait time 1/10 s',
+        cluster: 'genOnOff',
+        data: {onTime: 36000, offWaitTime: 50},
+        expected: {on_time: 3600, off_wait_time: 5},
+    },
+    {
+        description: 'NTC2 temperature /100 from the private cluster',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {measuredValue2: 4520},
+        expected: {ntc2_temperature: 45.2, ntc2_probe_status: 'ok', ntc2_min_24h: 45.2, ntc2_max_24h: 45.2},
+    },
+    {
+        description: 'NTC1 invalid sentinel means an open (disconnected) probe',
+        cluster: 'msTemperatureMeasurement',
+        data: {measuredValue: -32768},
+        expected: {ntc1_temperature: null, ntc1_probe_status: 'open_circuit'},
+    },
+    {
+        description: 'NTC1 reading far below the NTC range means an open probe',
+        cluster: 'msTemperatureMeasurement',
+        data: {measuredValue: -5500},
+        expected: {ntc1_temperature: null, ntc1_probe_status: 'open_circuit'},
+    },
+    {
+        description: 'NTC2 reading far above the NTC range means a shorted probe',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {measuredValue2: 20000},
+        expected: {ntc2_temperature: null, ntc2_probe_status: 'short_circuit'},
+    },
+    {
+        description: 'NTC2 type None in the same frame as a reading',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {resistanceValue2: 0, measuredValue2: 0},
+        expected: {ntc2_sensor_type: 'None', ntc2_temperature: null, ntc2_probe_status: 'not_configured'},
+    },
+    {
+        description: 'water sensor shorted (raw false) means water detected (inverted)',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {waterSensorValue: 0},
+        expected: {
+            water_sensor: true, last_leak_start: '2026-01-15T10:00:00.000Z', last_leak_duration: null,
+            last_leak_relay_acted: null, leak_count: 1, leak_acknowledged: false,
+        },
+    },
+    {
+        description: 'water sensor open (raw true) means dry',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {waterSensorValue: 1},
+        expected: {water_sensor: false},
+    },
+    {
+        description: 'private cluster settings read back in one response',
+        cluster: 'switchUserInterfaceConfiguration',
+        data: {
+            resistanceValue1: 1, resistanceValue2: 6, NTCCalibration1: -50, NTCCalibration2: 30,
+            waterAlarmRelayAction: 3, ntc1OperationSelect: 1, ntc2OperationSelect: 4,
+            ntc1RelayAutoTemp: 2750, ntc2RelayAutoTemp: 8000, overrideOption: 1,
+            ntc1TempHysterisis: 20, ntc2TempHysterisis: 50,
+            waterConditionAlarm: 1, ntcConditionAlarm: 0, isExecuteCondition: 1,
+        },
+        expected: {
+            ntc1_sensor_type: 'NTC-10K', ntc2_sensor_type: 'NTC-47K', ntc1_calibration: -5, ntc2_calibration: 3,
+            water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)',
+            ntc1_operation_mode: 'OFF when hot, ON when cold', ntc2_operation_mode: 'ON when hot (stay on)',
+            ntc1_relay_auto_temp: 27.5, ntc2_relay_auto_temp: 80, override_option: 'Water alarm has priority',
+            ntc1_temp_hysteresis: 2, ntc2_temp_hysteresis: 5,
+            water_condition_alarm: true, ntc_condition_alarm: false, is_execute_condition: true,
+            preset: 'custom',
+            // latched alarm without a leak seen: recorded with an unknown duration
+            last_leak_start: '2026-01-15T10:00:00.000Z', last_leak_duration: null, last_leak_relay_acted: null,
+            leak_count: 1, leak_acknowledged: false,
+        },
+    },
+];
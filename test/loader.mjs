@@ -0,0 +1,16 @@
+// Resolves the zigbee-herdsman(-converters) imports of the converter to the offline stand-ins in ./stubs,
+// so the test suite runs without a Z2M install, coordinator or network.
+const STUBS = {
+    'zigbee-herdsman-converters/lib/reporting': './stubs/reporting.mjs',
+    'zigbee-herdsman-converters/lib/exposes': './stubs/exposes.mjs',
+    'zigbee-herdsman-converters/lib/modernExtend': './stubs/modernExtend.mjs',
+    'zigbee-herdsman-converters/lib/logger': './stubs/logger.mjs',
+    'zigbee-herdsman/dist/zspec/zcl/index.js': './stubs/zcl.mjs',
+};
+
+export async function resolve(specifier, context, nextResolve) {
+    if (Object.prototype.hasOwnProperty.call(STUBS, specifier)) {
+        return {url: new URL(STUBS[specifier], import.meta.url).href, shortCircuit: true};
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,93 @@
+// Fake Z2M device/endpoint that records every Zigbee call and answers reads from canned responses.
+//
+// responses: {[cluster]: {[attribute]: value}} - attribute keys may be numeric IDs or names, as the
+// converter asks for them. Reading an attribute without a canned value rejects like an unsupported
+// attribute would; reading from a cluster listed in `unreachable` rejects like a timeout. Writes that include an
+// attribute listed in `readOnly` reject like the device refusing it; accepted writes update the canned responses.
+// `registered` are the custom clusters the device already has, as after the Z2M start (pass [] for the moment right
+// after a restart); foundation commands to a cluster name not registered reject like herdsman does.
+export const createMockDevice = ({
+    responses = {}, unreachable = [], readOnly = [], ieeeAddr = '0x0000000000000001', meta = {},
+    registered = ['switchUserInterfaceConfiguration'],
+} = {}) => {
+    const calls = [];
+    const customClusters = Object.fromEntries(registered.map((name) => [name, {}]));
+
+    const endpoint = {
+        ID: 1,
+        inputClusters: [0x0000, 0x0002, 0x0003, 0x0006, 0x0402, 0x04E0, 0x0702, 0x0B04],
+        calls,
+        async read(cluster, attributes) {
+            calls.push({op: 'read', cluster, attributes});
+            if (unreachable.includes(cluster)) throw new Error(`Read ${cluster} timed out`);
+            const canned = responses[cluster] ?? {};
+            const result = {};
+            for (const attribute of attributes) {
+                if (!Object.prototype.hasOwnProperty.call(canned, attribute)) {
+                    throw new Error(`Status 'UNSUPPORTED_ATTRIBUTE' for ${cluster}:${attribute}`);
+                }
+                result[attribute] = canned[attribute];
+            }
+            return result;
+        },
+        async write(cluster, payload) {
+            calls.push({op: 'write', cluster, payload});
+            if (unreachable.includes(cluster)) throw new Error(`Write ${cluster} timed out`);
+            const refused = Object.keys(payload).find((attribute) => readOnly.includes(attribute));
+            if (refused) throw new Error(`Status 'READ_ONLY' for ${cluster}:${refused}`);
+            responses[cluster] = {...responses[cluster], ...payload};
+        },
+        // Foundation write as the converter sends it for per-attribute status; recorded like write() with the
+        // name-keyed log payload, plus the raw records. Answers like a real writeRsp.
+        async zclCommand(cluster, command, records, options, logPayload) {
+            calls.push({op: command, cluster, payload: logPayload, records});
+            if (unreachable.includes(cluster)) throw new Error(`Write ${cluster} timed out`);
+            if (typeof cluster === 'string' && !customClusters[cluster]) throw new Error(`Status 'UNSUPPORTED_CLUSTER' for ${cluster}`);
+            const names = Object.keys(logPayload ?? {});
+            const refused = (record, i) => readOnly.includes(record.attrId) || readOnly.includes(names[i]);
+            const failed = records.filter(refused).map((record) => ({status: 0x88, attrId: record.attrId}));
+            records.forEach((record, i) => {
+                if (!refused(record, i)) responses[cluster] = {...responses[cluster], [names[i]]: record.attrData};
+            });
+            return {payload: failed.length ? failed : [{status: 0x00}]};
+        },
+        async command(cluster, command, payload) {
+            calls.push({op: 'command', cluster, command, payload});
+            if (unreachable.includes(cluster)) throw new Error(`Command ${cluster}.${command} timed out`);
+        },
+        async configureReporting(cluster, items) {
+            calls.push({op: 'configureReporting', cluster, items});
+            if (unreachable.includes(cluster)) throw new Error(`Configure reporting ${cluster} timed out`);
+        },
+        async bind(cluster, target) {
+            calls.push({op: 'bind', cluster, target});
+        },
+    };
+
+    const device = {
+        ieeeAddr,
+        modelID: '4512785',
+        manufacturerName: 'Namron AS',
+        meta,
+        endpoints: [endpoint],
+        customClusters,
+        saved: 0,
+        getEndpoint: (id) => (id === 1 ? endpoint : undefined),
+        addCustomCluster(name, definition) {
+            calls.push({op: 'addCustomCluster', cluster: name});
+            customClusters[name] = definition;
+        },
+        save() {
+            this.saved += 1;
+        },
+    };
+
+    return {device, endpoint, calls};
+};
+
+// Collects messages from the configure logger or, installed with setLogger, the zhc logger instead of printing them
+export const createLogger = () => {
+    const lines = [];
+    const log = (level) => (msg) => lines.push({level, msg});
+    return {lines, info: log('info'), warn: log('warn'), warning: log('warn'), error: log('error'), debug: log('debug')};
+};
@@ -0,0 +1,1539 @@
+import assert from 'node:assert/strict';
+import {describe, it, mock, afterEach} from 'node:test';
+
+import definitions from '../namron_30a_relay.mjs';
+import zcl from 'zigbee-herdsman/dist/zspec/zcl/index.js';
+import {setLogger} from 'zigbee-herdsman-converters/lib/logger';
+import {createMockDevice, createLogger} from './mockDevice.mjs';
+import reports from './fixtures/reports.mjs';
+
+const {DataType} = zcl;
+const definition = definitions[0];
+const PRIVATE_CLUSTER = 'switchUserInterfaceConfiguration';
+
+const fzFor = (cluster) => definition.fromZigbee.filter((c) => c.cluster === cluster);
+const tzFor = (key) => definition.toZigbee.find((c) => c.key.includes(key));
+
+// Runs every fromZigbee converter of the cluster like Z2M does and merges their output
+const convert = (cluster, data, {type = 'attributeReport', device, options = {}, state = {}, publish = () => {}} = {}) => {
+    const converters = fzFor(cluster);
+    assert.ok(converters.length, `no fromZigbee converter for ${cluster}`);
+    const mockDevice = device ?? createMockDevice().device;
+    const msg = {type, cluster, data, endpoint: mockDevice.getEndpoint(1), device: mockDevice};
+    const meta = {device: mockDevice, state};
+    const merged = {};
+    for (const converter of converters) {
+        Object.assign(merged, converter.convert(definition, msg, publish, options, meta) ?? {});
+    }
+    return Object.keys(merged).length ? merged : undefined;
+};
+
+const tzMeta = (device, message = {}, state = {}) => ({
+    device, message, state, options: {}, mapped: definition, endpoint_name: undefined,
+});
+
+// The attribute definitions the converter registers for the private cluster
+// The warning configure logged for one key
+const warning = (warnings, key) => warnings.split('\n').find((line) => line.includes(`] ${key} reporting options ignored`)) ?? '';
+
+// Installs a collecting zhc logger, the one Z2M logs converter, timer and onEvent messages with
+const zhcLogger = () => {
+    const logger = createLogger();
+    setLogger(logger);
+    return logger;
+};
+
+// Exposes as Z2M builds them for the docs (no device)
+const allExposes = () => definition.exposes(undefined, {});
+
+const registeredCluster = () => {
+    const {device} = createMockDevice();
+    for (const extend of definition.extend) extend.configure?.forEach((fn) => fn(device));
+    return device.customClusters[PRIVATE_CLUSTER];
+};
+
+describe('private cluster registration', () => {
+    it('registers 0x04E0 with all 17 attributes and the setClear command', () => {
+        const cluster = registeredCluster();
+        assert.equal(cluster.ID, 0x04E0);
+        const ids = Object.values(cluster.attributes).map((a) => a.ID).sort((a, b) => a - b);
+        assert.deepEqual(ids, Array.from({length: 17}, (_, i) => i));
+        for (const [name, attr] of Object.entries(cluster.attributes)) assert.equal(attr.name, name);
+        assert.equal(cluster.commands.setClear.ID, 0x0000);
+    });
+
+    it('types attributes like the Homey cluster snippet', () => {
+        const {attributes} = registeredCluster();
+        assert.equal(attributes.measuredValue2.type, DataType.INT16);
+        assert.equal(attributes.resistanceValue1.type, DataType.ENUM8);
+        assert.equal(attributes.waterSensorValue.type, DataType.BOOLEAN);
+        assert.equal(attributes.NTCCalibration1.type, DataType.INT8);
+        assert.equal(attributes.ntc2RelayAutoTemp.type, DataType.INT16);
+        assert.equal(attributes.ntc1TempHysterisis.type, DataType.INT8);
+        assert.equal(attributes.isExecuteCondition.type, DataType.BOOLEAN);
+    });
+});
+
+describe('private attribute schema', () => {
+    const cluster = registeredCluster();
+    const exposed = Object.fromEntries(allExposes().filter((x) => x.name).map((x) => [x.name, x]));
+
+    it('exposes every attribute with one refresh converter and, when writable, one set converter', () => {
+        for (const {name, ID} of Object.values(cluster.attributes)) {
+            const key = Object.keys(convert(PRIVATE_CLUSTER, {[name]: ID === 0 ? 2000 : 1}) ?? {})[0];
+            assert.ok(key, `${name} is not parsed`);
+            assert.ok(exposed[key], `${key} is not exposed`);
+            const getters = definition.toZigbee.filter((c) => c.key.includes(key) && c.convertGet);
+            const setters = definition.toZigbee.filter((c) => c.key.includes(key) && c.convertSet);
+            assert.equal(getters.length, 1, key);
+            assert.equal(setters.length, exposed[key].access & 0b010 ? 1 : 0, key);
+            assert.equal(Boolean(cluster.attributes[name].write), setters.length === 1, key);
+        }
+    });
+});
+
+describe('fromZigbee replay', () => {
+    afterEach(() => mock.timers.reset());
+
+    for (const report of reports) {
+        it(report.description, () => {
+            // fixtures carry timestamps (leak history)
+            mock.timers.enable({apis: ['Date'], now: new Date('2026-01-15T10:00:00Z')});
+            assert.deepEqual(convert(report.cluster, report.data), report.expected);
+            assert.deepEqual(convert(report.cluster, report.data, {type: 'readResponse'}), report.expected);
+        });
+    }
+
+    it('ignores messages without data', () => {
+        for (const cluster of new Set(definition.fromZigbee.map((c) => c.cluster))) {
+            assert.equal(convert(cluster, undefined), undefined);
+        }
+    });
+});
+
+describe('set_private_attribute', () => {
+    const cases = [
+        {key: 'ntc1_sensor_type', value: 'NTC-10K', attribute: 'resistanceValue1', raw: 1, state: 'NTC-10K'},
+        {key: 'ntc2_sensor_type', value: 6, attribute: 'resistanceValue2', raw: 6, state: 'NTC-47K'},
+        {key: 'water_alarm_relay_action', value: 'Water alarm: Turn OFF (stay off)', attribute: 'waterAlarmRelayAction', raw: 3,
+            state: 'Water alarm: Turn OFF (stay off)'},
+        {key: 'ntc1_operation_mode', value: 'OFF when hot, ON when cold', attribute: 'ntc1OperationSelect', raw: 1,
+            state: 'OFF when hot, ON when cold'},
+        {key: 'ntc2_operation_mode', value: 'ON when hot (stay on)', attribute: 'ntc2OperationSelect', raw: 4,
+            state: 'ON when hot (stay on)'},
+        {key: 'ntc1_relay_auto_temp', value: 27.5, attribute: 'ntc1RelayAutoTemp', raw: 2750, state: 27.5},
+        {key: 'ntc2_relay_auto_temp', value: '80', attribute: 'ntc2RelayAutoTemp', raw: 8000, state: 80},
+        {key: 'override_option', value: 'Temperature (NTC) has priority', attribute: 'overrideOption', raw: 2,
+            state: 'Temperature (NTC) has priority'},
+        {key: 'ntc1_calibration', value: -5, attribute: 'NTCCalibration1', raw: -50, state: -5},
+        {key: 'ntc2_calibration', value: 3, attribute: 'NTCCalibration2', raw: 30, state: 3},
+        {key: 'ntc1_temp_hysteresis', value: 2, attribute: 'ntc1TempHysterisis', raw: 20, state: 2},
+        {key: 'ntc2_temp_hysteresis', value: 5, attribute: 'ntc2TempHysterisis', raw: 50, state: 5},
+    ];
+    const cluster = registeredCluster();
+    const expectedTypes = {
+        resistanceValue1: DataType.ENUM8, resistanceValue2: DataType.ENUM8, waterAlarmRelayAction: DataType.ENUM8,
+        ntc1OperationSelect: DataType.ENUM8, ntc2OperationSelect: DataType.ENUM8, overrideOption: DataType.ENUM8,
+        ntc1RelayAutoTemp: DataType.INT16, ntc2RelayAutoTemp: DataType.INT16,
+        NTCCalibration1: DataType.INT8, NTCCalibration2: DataType.INT8,
+        ntc1TempHysterisis: DataType.INT8, ntc2TempHysterisis: DataType.INT8,
+    };
+
+    it('covers every key of the converter', () => {
+        assert.deepEqual(cases.map((c) => c.key).sort(), [...tzFor('ntc1_sensor_type').key].sort());
+    });
+
+    for (const c of cases) {
+        it(`${c.key} writes ${c.attribute}=${c.raw}`, async () => {
+            const {device, endpoint, calls} = createMockDevice();
+            const result = await tzFor(c.key).convertSet(endpoint, c.key, c.value, tzMeta(device, {[c.key]: c.value}));
+            const writes = calls.filter((call) => call.op === 'write');
+            assert.equal(writes.length, 1);
+            assert.equal(writes[0].cluster, PRIVATE_CLUSTER);
+            assert.deepEqual(writes[0].payload, {[c.attribute]: c.raw});
+            assert.equal(cluster.attributes[c.attribute].type, expectedTypes[c.attribute]);
+            assert.deepEqual(result, {state: {[c.key]: c.state}});
+        });
+    }
+
+    it('rejects unknown enum labels before writing', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await assert.rejects(
+            tzFor('ntc1_sensor_type').convertSet(endpoint, 'ntc1_sensor_type', 'PT100', tzMeta(device)),
+            /\[Namron4512785\] invalid ntc1_sensor_type/,
+        );
+        assert.equal(calls.length, 0);
+    });
+
+    it('rejects non-numeric values before writing', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await assert.rejects(
+            tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 'hot', tzMeta(device)),
+            /\[Namron4512785\] invalid ntc1_relay_auto_temp/,
+        );
+        assert.equal(calls.length, 0);
+    });
+
+    for (const [key, value] of [
+        ['ntc1_relay_auto_temp', 500], ['ntc2_relay_auto_temp', -1], ['ntc1_calibration', 200],
+        ['ntc2_calibration', -11], ['ntc1_temp_hysteresis', 10.5], ['ntc2_temp_hysteresis', -200],
+    ]) {
+        it(`rejects out-of-range ${key}=${value} before writing`, async () => {
+            const {device, endpoint, calls} = createMockDevice();
+            await assert.rejects(
+                tzFor(key).convertSet(endpoint, key, value, tzMeta(device)),
+                new RegExp(`\\[Namron4512785\\] ${key} out of range`),
+            );
+            assert.equal(calls.length, 0);
+        });
+    }
+
+    it('rounds values to the published step before writing', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const result = await tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 21.25,
+            tzMeta(device, {ntc1_relay_auto_temp: 21.25}));
+        assert.deepEqual(calls[0].payload, {ntc1RelayAutoTemp: 2130});
+        assert.deepEqual(result, {state: {ntc1_relay_auto_temp: 21.3}});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 2130}), {ntc1_relay_auto_temp: 21.3});
+    });
+
+    it('publishes the enforced range on every settable numeric expose', () => {
+        const numerics = allExposes().filter((x) => x.type === 'numeric' && x.access & 0b010);
+        assert.ok(numerics.length >= 10);
+        for (const expose of numerics) {
+            assert.equal(typeof expose.value_min, 'number', expose.name);
+            assert.equal(typeof expose.value_max, 'number', expose.name);
+            assert.equal(typeof expose.value_step, 'number', expose.name);
+        }
+        const auto = allExposes().find((x) => x.name === 'ntc1_relay_auto_temp');
+        assert.deepEqual([auto.value_min, auto.value_max], [0, 100]);
+    });
+
+    it('reads settings back by attribute name', async () => {
+        const {device, endpoint, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: {
+            resistanceValue2: 2, ntc1RelayAutoTemp: 3000, overrideOption: 0, NTCCalibration2: -10,
+        }}});
+        const tz = tzFor('ntc1_sensor_type');
+        assert.deepEqual(await tz.convertGet(endpoint, 'ntc2_sensor_type', tzMeta(device)), {state: {ntc2_sensor_type: 'NTC-12K'}});
+        assert.deepEqual(await tz.convertGet(endpoint, 'ntc1_relay_auto_temp', tzMeta(device)), {state: {ntc1_relay_auto_temp: 30}});
+        assert.deepEqual(await tz.convertGet(endpoint, 'override_option', tzMeta(device)), {state: {override_option: 'No priority'}});
+        assert.deepEqual(await tz.convertGet(endpoint, 'ntc2_calibration', tzMeta(device)), {state: {ntc2_calibration: -1}});
+        assert.deepEqual(calls.map((c) => c.attributes), [['resistanceValue2'], ['ntc1RelayAutoTemp'], ['overrideOption'], ['NTCCalibration2']]);
+        await assert.rejects(tz.convertGet(endpoint, 'ntc1_calibration', tzMeta(device)), /Failed to read ntc1_calibration/);
+    });
+});
+
+describe('batched private cluster access', () => {
+    const message = {ntc1_relay_auto_temp: 25, ntc1_temp_hysteresis: 2, override_option: 'No priority'};
+
+    it('writes every 0x04E0 key of a payload in one write with schema types', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const result = await tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 25, tzMeta(device, message));
+        assert.deepEqual(result, {state: message});
+        const writes = calls.filter((c) => c.op === 'write');
+        assert.equal(writes.length, 1);
+        assert.deepEqual(writes[0].records, [
+            {attrId: 0x0009, attrData: 2500, dataType: DataType.INT16},
+            {attrId: 0x000C, attrData: 20, dataType: DataType.INT8},
+            {attrId: 0x000B, attrData: 0, dataType: DataType.ENUM8},
+        ]);
+    });
+
+    it('validates the whole payload before writing', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await assert.rejects(tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 25,
+            tzMeta(device, {...message, ntc1_temp_hysteresis: 50})), /ntc1_temp_hysteresis out of range/);
+        assert.equal(calls.length, 0);
+    });
+
+    it('reports refused attributes from the write response and publishes the rest', async () => {
+        const {device, endpoint} = createMockDevice({readOnly: [0x000B]});
+        const published = [];
+        await assert.rejects(tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 25,
+            {...tzMeta(device, message), publish: (payload) => published.push(payload)}), /write refused: override_option \(READ_ONLY\)/);
+        assert.deepEqual(published, [{ntc1_relay_auto_temp: 25, ntc1_temp_hysteresis: 2}]);
+    });
+
+    it('falls back to a plain write for groups', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const group = {write: endpoint.write};
+        await tzFor('ntc1_relay_auto_temp').convertSet(group, 'ntc1_relay_auto_temp', 25, tzMeta(device, message));
+        assert.deepEqual(calls.map((c) => [c.op, c.records]), [['write', undefined]]);
+    });
+
+    it('reads every requested key in one read, once per message', async () => {
+        const responses = {[PRIVATE_CLUSTER]: {measuredValue2: 2000, waterSensorValue: 1, ntc1RelayAutoTemp: 2500, overrideOption: 0}};
+        const {device, endpoint, calls} = createMockDevice({responses});
+        const meta = tzMeta(device, {ntc2_temperature: '', water_sensor: '', ntc1_relay_auto_temp: '', override_option: ''});
+        const result = await tzFor('water_sensor').convertGet(endpoint, 'ntc2_temperature', meta);
+        assert.deepEqual(result.state, {
+            ntc2_temperature: 20, ntc2_probe_status: 'ok', water_sensor: false, ntc1_relay_auto_temp: 25, override_option: 'No priority',
+        });
+        assert.equal(await tzFor('ntc1_relay_auto_temp').convertGet(endpoint, 'ntc1_relay_auto_temp', meta), undefined);
+        assert.deepEqual(calls.map((c) => c.attributes), [['measuredValue2', 'waterSensorValue', 'ntc1RelayAutoTemp', 'overrideOption']]);
+    });
+
+    it('splits reads that would not fit one frame', async () => {
+        const cluster = registeredCluster();
+        const names = Object.values(cluster.attributes).map((a) => a.name);
+        const {device, endpoint, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: Object.fromEntries(names.map((n) => [n, 0]))}});
+        const keys = Object.keys(convert(PRIVATE_CLUSTER, Object.fromEntries(names.map((n) => [n, 0])))).filter((k) => tzFor(k)?.convertGet);
+        await tzFor('water_sensor').convertGet(endpoint, 'water_sensor', tzMeta(device, Object.fromEntries(keys.map((k) => [k, '']))));
+        assert.equal(calls.length, 2);
+        assert.deepEqual(calls.flatMap((c) => c.attributes).sort(), [...names].sort());
+    });
+});
+
+describe('write verification and drift detection', () => {
+    afterEach(() => mock.timers.reset());
+
+    const setAutoTemp = (endpoint, device, value, options = {}, extra = {}) =>
+        tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', value,
+            {...tzMeta(device, {ntc1_relay_auto_temp: value}), options, ...extra});
+
+    it('remembers successful writes as the intended config', async () => {
+        const {device, endpoint} = createMockDevice({readOnly: ['overrideOption']});
+        await setAutoTemp(endpoint, device, 25);
+        await assert.rejects(tzFor('override_option').convertSet(endpoint, 'override_option', 0, tzMeta(device, {override_option: 0})));
+        assert.deepEqual(device.meta.intended_config, {ntc1_relay_auto_temp: 25});
+    });
+
+    it('reads written settings back with verify_writes', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        assert.deepEqual(await setAutoTemp(endpoint, device, 25, {verify_writes: true}), {state: {ntc1_relay_auto_temp: 25}});
+        assert.deepEqual(calls.map((c) => c.op), ['write', 'read']);
+
+        // Device acknowledges the write but keeps its old value
+        const read = endpoint.read;
+        endpoint.read = async (cluster, attributes) => ({...await read(cluster, attributes), ntc1RelayAutoTemp: 2500});
+        await assert.rejects(setAutoTemp(endpoint, device, 30, {verify_writes: true}),
+            /write refused: ntc1_relay_auto_temp \(read back 2500 instead of 3000\)/);
+    });
+
+    it('flags settings that differ from the intended config', () => {
+        const {device} = createMockDevice({meta: {intended_config: {ntc1_relay_auto_temp: 25, override_option: 'No priority'}}});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 3000, overrideOption: 0}, {type: 'readResponse', device}),
+            {ntc1_relay_auto_temp: 30, override_option: 'No priority', config_drift: true, config_drift_keys: 'ntc1_relay_auto_temp'});
+        assert.deepEqual(device.meta.config_drift, ['ntc1_relay_auto_temp']);
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {overrideOption: 0}, {device}),
+            {override_option: 'No priority', config_drift: true, config_drift_keys: 'ntc1_relay_auto_temp'});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 2500}, {device}),
+            {ntc1_relay_auto_temp: 25, config_drift: false, config_drift_keys: ''});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {measuredValue2: 2000}, {device}),
+            {ntc2_temperature: 20, ntc2_probe_status: 'ok', ntc2_min_24h: 20, ntc2_max_24h: 20});
+    });
+
+    it('does not flag a non-round setting the device holds as drift', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const options = {drift_auto_reapply: true};
+        await setAutoTemp(endpoint, device, 21.25, options);
+        assert.deepEqual(device.meta.intended_config, {ntc1_relay_auto_temp: 21.3});
+        for (let i = 0; i < 3; i++) {
+            assert.equal(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 2130}, {device, options}).config_drift, false);
+        }
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(calls.filter((c) => c.op === 'write').length, 1);
+    });
+
+    it('re-applies the intended values with drift_auto_reapply', async () => {
+        const {device, calls} = createMockDevice({meta: {intended_config: {water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)'}}});
+        const published = [];
+        const out = convert(PRIVATE_CLUSTER, {waterAlarmRelayAction: 0}, {
+            device, options: {drift_auto_reapply: true}, publish: (payload) => published.push(payload),
+        });
+        assert.equal(out.config_drift, true);
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(calls.filter((c) => c.op === 'write').map((c) => c.payload), [{waterAlarmRelayAction: 3}]);
+        assert.deepEqual(published, [{
+            water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)', config_drift: false, config_drift_keys: '',
+        }]);
+    });
+
+    it('backs off re-applying a value the device keeps refusing and logs the failures', async () => {
+        mock.timers.enable({apis: ['Date'], now: 0});
+        const logger = zhcLogger();
+        const {device, calls} = createMockDevice({
+            ieeeAddr: '0xreapply', readOnly: ['waterAlarmRelayAction'],
+            meta: {intended_config: {water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)'}},
+        });
+        const report = () => convert(PRIVATE_CLUSTER, {waterAlarmRelayAction: 0}, {device, options: {drift_auto_reapply: true}});
+        const writes = () => calls.filter((c) => c.op === 'write').length;
+        report();
+        report();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(writes(), 1);
+        assert.match(logger.lines[0].msg, /drift re-apply failed on 0xreapply: water_alarm_relay_action \(.*READ_ONLY/);
+        report();
+        mock.timers.tick(59000);
+        report();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(writes(), 1);
+        mock.timers.tick(1000);
+        report();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(writes(), 2);
+        // second failure: two minutes
+        mock.timers.tick(60000);
+        report();
+        assert.equal(writes(), 2);
+    });
+
+    it('checks periodically and right after the device rejoins', async () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xdrift', meta: {intended_config: {ntc1_relay_auto_temp: 25, ntc1_temp_hysteresis: 2}}});
+        const options = {poll_enabled: false, drift_check_interval: 600};
+        const intendedReads = () => calls.filter((c) => c.op === 'read' && c.attributes.includes('ntc1RelayAutoTemp'));
+        await definition.onEvent({type: 'start', data: {device, options, state: {}}});
+        mock.timers.tick(599000);
+        assert.equal(intendedReads().length, 0);
+        mock.timers.tick(1000);
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(intendedReads().map((c) => c.attributes), [['ntc1RelayAutoTemp', 'ntc1TempHysterisis']]);
+        await definition.onEvent({type: 'deviceAnnounce', data: {device, options, state: {}}});
+        assert.equal(intendedReads().length, 2);
+        await definition.onEvent({type: 'deviceOptionsChanged', data: {device, options: {...options, drift_check_interval: 0}, state: {}}});
+        mock.timers.tick(3600000);
+        assert.equal(intendedReads().length, 2);
+        await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xdrift'}});
+    });
+});
+
+describe('get_attribute', () => {
+    const responses = {
+        genDeviceTempCfg: {0x0000: 385, 0x0010: 0x01},
+        msTemperatureMeasurement: {0x0000: 2156},
+        haElectricalMeasurement: {0x0505: 2319, 0x0508: 3290, 0x050B: 760},
+        seMetering: {0x0000: 28427},
+        [PRIVATE_CLUSTER]: {measuredValue2: 4520, waterSensorValue: 0, waterConditionAlarm: 1, ntcConditionAlarm: 0, isExecuteCondition: 1},
+    };
+    const expected = {
+        device_temperature: {device_temperature: 38.5},
+        ntc1_temperature: {ntc1_temperature: 21.6, ntc1_probe_status: 'ok'},
+        ntc2_temperature: {ntc2_temperature: 45.2, ntc2_probe_status: 'ok'},
+        water_sensor: {water_sensor: true},
+        voltage: {voltage: 231.9},
+        current: {current: 3.29},
+        power: {power: 760},
+        energy: {energy: 284.27},
+        water_condition_alarm: {water_condition_alarm: true},
+        ntc_condition_alarm: {ntc_condition_alarm: false},
+        is_execute_condition: {is_execute_condition: true},
+        device_temp_low_alarm: {device_temp_low_alarm: true, device_temp_high_alarm: false},
+        device_temp_high_alarm: {device_temp_low_alarm: true, device_temp_high_alarm: false},
+    };
+
+    it('covers every key of the converter', () => {
+        assert.deepEqual(Object.keys(expected).sort(), [...tzFor('voltage').key].sort());
+    });
+
+    for (const [key, state] of Object.entries(expected)) {
+        it(`refreshes ${key}`, async () => {
+            const {device, endpoint} = createMockDevice({responses});
+            assert.deepEqual(await tzFor(key).convertGet(endpoint, key, tzMeta(device)), {state});
+        });
+    }
+
+    it('wraps read failures with the key', async () => {
+        const {device, endpoint} = createMockDevice({unreachable: ['haElectricalMeasurement']});
+        await assert.rejects(tzFor('power').convertGet(endpoint, 'power', tzMeta(device)), /Failed to read power/);
+    });
+});
+
+describe('NTC probe status', () => {
+    it('publishes null and not_configured while the sensor type is None', () => {
+        const {device} = createMockDevice({meta: {ntc_sensor_types: {ntc1_sensor_type: 'None'}}});
+        assert.deepEqual(convert('msTemperatureMeasurement', {measuredValue: 2156}, {device}),
+            {ntc1_temperature: null, ntc1_probe_status: 'not_configured'});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {measuredValue2: 2000}, {state: {ntc2_sensor_type: 'None'}}),
+            {ntc2_temperature: null, ntc2_probe_status: 'not_configured'});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {measuredValue2: 2000}, {state: {ntc2_sensor_type: 'NTC-10K'}}),
+            {ntc2_temperature: 20, ntc2_probe_status: 'ok', ntc2_min_24h: 20, ntc2_max_24h: 20});
+    });
+
+    it('invalidates the temperature when the type is set to None', async () => {
+        const {device, endpoint} = createMockDevice();
+        assert.deepEqual(await tzFor('ntc1_sensor_type').convertSet(endpoint, 'ntc1_sensor_type', 'None', tzMeta(device)),
+            {state: {ntc1_sensor_type: 'None', ntc1_temperature: null, ntc1_probe_status: 'not_configured'}});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {resistanceValue1: 0}),
+            {ntc1_sensor_type: 'None', ntc1_temperature: null, ntc1_probe_status: 'not_configured'});
+    });
+
+    it('checks refreshed readings as well', async () => {
+        const {device, endpoint} = createMockDevice({responses: {
+            msTemperatureMeasurement: {0x0000: -32768}, [PRIVATE_CLUSTER]: {measuredValue2: 2000},
+        }});
+        assert.deepEqual(await tzFor('ntc1_temperature').convertGet(endpoint, 'ntc1_temperature', tzMeta(device)),
+            {state: {ntc1_temperature: null, ntc1_probe_status: 'open_circuit'}});
+        assert.deepEqual(await tzFor('ntc2_temperature').convertGet(endpoint, 'ntc2_temperature', tzMeta(device, {}, {ntc2_sensor_type: 'None'})),
+            {state: {ntc2_temperature: null, ntc2_probe_status: 'not_configured'}});
+    });
+});
+
+describe('device temperature thresholds', () => {
+    it('writes /10-scaled thresholds as INT16 by attribute ID', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const tz = tzFor('device_temp_high_threshold');
+        assert.deepEqual(await tz.convertSet(endpoint, 'device_temp_high_threshold', 85.5, tzMeta(device)),
+            {state: {device_temp_high_threshold: 85.5}});
+        await tz.convertSet(endpoint, 'device_temp_low_threshold', -10, tzMeta(device));
+        assert.deepEqual(calls.map((c) => c.payload), [
+            {0x0012: {value: 855, type: DataType.INT16}},
+            {0x0011: {value: -100, type: DataType.INT16}},
+        ]);
+    });
+
+    it('rejects thresholds outside the ZCL device temperature range', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await assert.rejects(
+            tzFor('device_temp_high_threshold').convertSet(endpoint, 'device_temp_high_threshold', 4000, tzMeta(device)),
+            /device_temp_high_threshold out of range/,
+        );
+        assert.equal(calls.length, 0);
+    });
+
+    it('reads thresholds back', async () => {
+        const {device, endpoint} = createMockDevice({responses: {genDeviceTempCfg: {0x0011: -50, 0x0012: 900}}});
+        const tz = tzFor('device_temp_low_threshold');
+        assert.deepEqual(await tz.convertGet(endpoint, 'device_temp_low_threshold', tzMeta(device)), {state: {device_temp_low_threshold: -5}});
+        assert.deepEqual(await tz.convertGet(endpoint, 'device_temp_high_threshold', tzMeta(device)), {state: {device_temp_high_threshold: 90}});
+    });
+});
+
+describe('on/off with timed off', () => {
+    it('sends onWithTimedOff in 1/10 s for state ON with on_time', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const message = {state: 'ON', on_time: 3600};
+        const result = await tzFor('state').convertSet(endpoint, 'state', 'ON', tzMeta(device, message));
+        assert.deepEqual(calls, [{op: 'command', cluster: 'genOnOff', command: 'onWithTimedOff',
+            payload: {ctrlbits: 0, ontime: 36000, offwaittime: 0}}]);
+        assert.deepEqual(result, {state: {state: 'ON', on_time: 3600, off_wait_time: 0}});
+    });
+
+    it('sends plain on/off/toggle commands', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const tz = tzFor('state');
+        assert.deepEqual(await tz.convertSet(endpoint, 'state', 'off', tzMeta(device, {state: 'off'})), {state: {state: 'OFF'}});
+        assert.deepEqual(await tz.convertSet(endpoint, 'state', 'TOGGLE', tzMeta(device, {state: 'TOGGLE'}, {state: 'OFF'})),
+            {state: {state: 'ON'}});
+        assert.deepEqual(calls.map((c) => c.command), ['off', 'toggle']);
+        await assert.rejects(tz.convertSet(endpoint, 'state', 'dim', tzMeta(device, {state: 'dim'})), /invalid state/);
+    });
+
+    it('rejects an on_time that does not fit the uint16 1/10 s attribute', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await assert.rejects(
+            tzFor('state').convertSet(endpoint, 'state', 'ON', tzMeta(device, {state: 'ON', on_time: 7200})),
+            /on_time out of range/,
+        );
+        assert.equal(calls.length, 0);
+    });
+
+    it('rewrites the running timer when on_time is sent without state', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const result = await tzFor('on_time').convertSet(endpoint, 'on_time', 90, tzMeta(device, {on_time: 90}));
+        assert.deepEqual(calls[0].payload, {0x4001: {value: 900, type: DataType.UINT16}});
+        assert.deepEqual(result, {state: {on_time: 90}});
+    });
+});
+
+describe('software overload protection', () => {
+    afterEach(() => mock.timers.reset());
+
+    const options = {max_current: 30, max_power: 6000, overload_delay: 5};
+    const offCommands = (calls) => calls.filter((c) => c.op === 'command' && c.command === 'off');
+
+    it('switches off and latches when current stays above max_current for overload_delay', async () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const published = [];
+        const {device, calls} = createMockDevice({ieeeAddr: '0xtrip'});
+        const publish = (payload) => published.push(payload);
+        assert.deepEqual(convert('haElectricalMeasurement', {rmsCurrent: 31200}, {device, options, publish}), {current: 31.2});
+        mock.timers.tick(4000);
+        convert('haElectricalMeasurement', {rmsCurrent: 31500}, {device, options, publish});
+        assert.equal(offCommands(calls).length, 0);
+        mock.timers.tick(1000);
+        assert.equal(offCommands(calls).length, 1);
+        assert.equal(device.meta.overload.tripped, true);
+        assert.deepEqual(published, [{overload_tripped: true, overload_reason: 'current 31.5 A above max_current 30 A'}]);
+    });
+
+    it('logs a failed cut-off through the zhc logger', async () => {
+        const logger = zhcLogger();
+        const {device, calls} = createMockDevice({ieeeAddr: '0xtripfail', unreachable: ['genOnOff']});
+        convert('haElectricalMeasurement', {rmsCurrent: 31200}, {device, options: {...options, overload_delay: 0}});
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(offCommands(calls).length, 1);
+        assert.deepEqual(logger.lines.map((l) => l.level), ['error']);
+        assert.match(logger.lines[0].msg, /overload cut-off failed for 0xtripfail: .*timed out/);
+        convert('genOnOff', {onOff: 1}, {device});
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(logger.lines.length, 2);
+        assert.match(logger.lines[1].msg, /overload cut-off failed for 0xtripfail/);
+    });
+
+    it('disarms when the reading drops back under the limit before the delay', () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xspike'});
+        convert('haElectricalMeasurement', {activePower: 6500}, {device, options});
+        mock.timers.tick(3000);
+        convert('haElectricalMeasurement', {activePower: 5000}, {device, options});
+        mock.timers.tick(10000);
+        assert.equal(offCommands(calls).length, 0);
+        assert.equal(device.meta.overload, undefined);
+    });
+
+    it('drops a pending trip when the device is stopped', async () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xtripstop'});
+        convert('haElectricalMeasurement', {rmsCurrent: 31200}, {device, options});
+        await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xtripstop'}});
+        mock.timers.tick(10000);
+        assert.equal(offCommands(calls).length, 0);
+        assert.equal(device.meta.overload, undefined);
+    });
+
+    it('does nothing without limits configured', () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xnolimit'});
+        convert('haElectricalMeasurement', {rmsCurrent: 45000, activePower: 10000}, {device, options: {overload_delay: 0}});
+        mock.timers.tick(60000);
+        assert.equal(calls.length, 0);
+    });
+
+    it('refuses ON and re-switches a locally switched relay off until overload_reset', async () => {
+        const {device, endpoint, calls} = createMockDevice({meta: {overload: {tripped: true, reason: 'power 7000 W above max_power 6000 W'}}});
+        await assert.rejects(
+            tzFor('state').convertSet(endpoint, 'state', 'ON', tzMeta(device, {state: 'ON'})),
+            /overload protection tripped \(power 7000 W above max_power 6000 W\)/,
+        );
+        convert('genOnOff', {onOff: 1}, {device});
+        assert.equal(offCommands(calls).length, 1);
+
+        const result = await tzFor('overload_reset').convertSet(endpoint, 'overload_reset', 'reset', tzMeta(device));
+        assert.deepEqual(result, {state: {overload_tripped: false, overload_reason: null}});
+        assert.equal(device.meta.overload, undefined);
+        assert.deepEqual(await tzFor('state').convertSet(endpoint, 'state', 'ON', tzMeta(device, {state: 'ON'})), {state: {state: 'ON'}});
+    });
+});
+
+describe('power cross-check', () => {
+    it('derives apparent power and power factor from the last known readings', () => {
+        const {device} = createMockDevice();
+        assert.deepEqual(convert('haElectricalMeasurement', {rmsVoltage: 2300, rmsCurrent: 10000}, {device}), {voltage: 230, current: 10});
+        assert.deepEqual(convert('haElectricalMeasurement', {activePower: 1840}, {device}),
+            {power: 1840, apparent_power: 2300, power_factor: 0.8, measurement_inconsistent: false});
+        assert.deepEqual(convert('haElectricalMeasurement', {rmsCurrent: 5000}, {device}),
+            {current: 5, apparent_power: 1150, power_factor: 1, measurement_inconsistent: true});
+    });
+
+    it('leaves power factor out without apparent power', () => {
+        assert.deepEqual(convert('haElectricalMeasurement', {rmsVoltage: 2300, rmsCurrent: 0, activePower: 0}),
+            {voltage: 230, current: 0, power: 0, apparent_power: 0, measurement_inconsistent: false});
+    });
+
+    it('only exposes the optional attributes the device answered in configure', async () => {
+        const {device} = createMockDevice({responses: {haElectricalMeasurement: {0x0505: 2300, 0x0508: 0, 0x050B: 0, 0x0300: 50}}});
+        assert.ok(!definition.exposes(device, {}).some((x) => x.name === 'ac_frequency'));
+        await definition.configure(device, {ID: 1}, createLogger());
+        const names = definition.exposes(device, {}).map((x) => x.name);
+        assert.ok(names.includes('ac_frequency'));
+        assert.ok(!names.includes('reactive_power'));
+        assert.ok(names.includes('power_factor'));
+        assert.ok(allExposes().some((x) => x.name === 'reactive_power'));
+        assert.ok(definition.exposes({isDummyDevice: true}, {}).some((x) => x.name === 'reactive_power'));
+    });
+});
+
+describe('energy accounting', () => {
+    afterEach(() => mock.timers.reset());
+
+    const report = (device, raw, options = {}) => convert('seMetering', {currentSummDelivered: raw}, {device, options});
+    const at = (...args) => mock.timers.setTime(new Date(...args).getTime());
+
+    it('accumulates per day and month and rolls over at local midnight and the 1st', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date(2026, 0, 31, 8, 0)});
+        const {device} = createMockDevice();
+        report(device, 10000);
+        at(2026, 0, 31, 20, 0);
+        assert.deepEqual(report(device, 10550), {
+            energy: 105.5, energy_today: 5.5, energy_yesterday: 0, energy_this_month: 5.5, energy_last_month: 0,
+        });
+        at(2026, 1, 1, 0, 15);
+        assert.deepEqual(report(device, 10600), {
+            energy: 106, energy_today: 0.5, energy_yesterday: 5.5, energy_this_month: 0.5, energy_last_month: 5.5,
+        });
+        at(2026, 1, 3, 9, 0);
+        const state = report(device, 10700);
+        assert.equal(state.energy_today, 1);
+        assert.equal(state.energy_yesterday, 0, 'no report on Feb 2nd: yesterday consumed nothing we know of');
+        assert.equal(state.energy_this_month, 1.5);
+    });
+
+    it('never goes negative when the device counter resets or wraps', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date(2026, 4, 10, 8, 0)});
+        const {device} = createMockDevice();
+        report(device, 50000);
+        report(device, 50200);
+        assert.equal(report(device, 30).energy_today, 2);
+        assert.equal(report(device, 130).energy_today, 3);
+    });
+
+    it('persists the baselines in device meta so a restart continues counting', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date(2026, 4, 10, 8, 0)});
+        const {device} = createMockDevice();
+        report(device, 1000);
+        report(device, 1250);
+        assert.ok(device.saved > 0);
+        const restarted = createMockDevice({meta: JSON.parse(JSON.stringify(device.meta))}).device;
+        assert.equal(report(restarted, 1300).energy_today, 3);
+    });
+
+    it('publishes cost with the energy_price option', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date(2026, 4, 10, 8, 0)});
+        const {device} = createMockDevice();
+        report(device, 1000, {energy_price: 1.25});
+        const state = report(device, 1333, {energy_price: 1.25});
+        assert.equal(state.energy_today_cost, 4.16);
+        assert.equal(state.energy_this_month_cost, 4.16);
+        assert.equal(state.energy_last_month_cost, 0);
+        assert.equal(report(device, 1400, {}).energy_today_cost, undefined);
+    });
+});
+
+describe('configuration backup and restore', () => {
+    const settings = {
+        resistanceValue1: 1, resistanceValue2: 0, NTCCalibration1: -20, NTCCalibration2: 0, waterAlarmRelayAction: 1,
+        ntc1OperationSelect: 1, ntc2OperationSelect: 0, ntc1RelayAutoTemp: 2250, ntc2RelayAutoTemp: 6000,
+        overrideOption: 1, ntc1TempHysterisis: 20, ntc2TempHysterisis: 10,
+    };
+    const exported = {
+        ntc1_sensor_type: 'NTC-10K', ntc2_sensor_type: 'None', ntc1_calibration: -2, ntc2_calibration: 0,
+        water_alarm_relay_action: 'Water alarm: Turn OFF (restore when dry)', ntc1_operation_mode: 'OFF when hot, ON when cold',
+        ntc2_operation_mode: 'No action', ntc1_relay_auto_temp: 22.5, ntc2_relay_auto_temp: 60,
+        override_option: 'Water alarm has priority', ntc1_temp_hysteresis: 2, ntc2_temp_hysteresis: 1,
+        power_on_behavior: 'previous',
+    };
+
+    it('exports every writable setting and the power-on behavior', async () => {
+        const {device, endpoint, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: settings, genOnOff: {startUpOnOff: 255}}});
+        const result = await tzFor('export_config').convertSet(endpoint, 'export_config', 'export', tzMeta(device));
+        assert.deepEqual(result, {state: {config_export: exported}});
+        assert.equal(calls.filter((c) => c.op === 'read' && c.cluster === PRIVATE_CLUSTER).length, 1);
+    });
+
+    it('exposes the import outcome as state but keeps the long export out of discovery', () => {
+        assert.equal(allExposes().find((x) => x.name === 'import_config_result')?.access, 0b001);
+        assert.equal(allExposes().find((x) => x.name === 'config_export'), undefined);
+    });
+
+    it('imports an export in one batched write', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const {state} = await tzFor('import_config').convertSet(endpoint, 'import_config', JSON.stringify(exported), tzMeta(device));
+        const writes = calls.filter((c) => c.op === 'write');
+        assert.equal(writes.length, 2);
+        assert.deepEqual(writes[0].payload, settings);
+        assert.deepEqual(writes[1], {op: 'write', cluster: 'genOnOff', payload: {startUpOnOff: 255}});
+        assert.deepEqual(Object.values(state.import_config_result), Array(13).fill('ok'));
+        assert.equal(state.ntc1_relay_auto_temp, 22.5);
+        assert.equal(state.ntc2_probe_status, 'not_configured');
+    });
+
+    it('reports invalid and refused attributes without losing the rest', async () => {
+        const {device, endpoint, calls} = createMockDevice({readOnly: ['overrideOption']});
+        const {state} = await tzFor('import_config').convertSet(endpoint, 'import_config', {
+            ntc1_relay_auto_temp: 250, ntc1_temp_hysteresis: 3, override_option: 0, water_sensor: true, power_on_behavior: 'sometimes',
+        }, tzMeta(device));
+        assert.match(state.import_config_result.ntc1_relay_auto_temp, /out of range/);
+        assert.match(state.import_config_result.water_sensor, /not a configuration key/);
+        assert.match(state.import_config_result.power_on_behavior, /invalid power_on_behavior/);
+        assert.match(state.import_config_result.override_option, /READ_ONLY/);
+        assert.equal(state.import_config_result.ntc1_temp_hysteresis, 'ok');
+        assert.equal(state.ntc1_temp_hysteresis, 3);
+        assert.ok(!('override_option' in state));
+        assert.deepEqual(calls.filter((c) => c.op === 'write').map((c) => c.payload), [{ntc1TempHysterisis: 30, overrideOption: 0}]);
+    });
+
+    it('rejects payloads that are not a config object', async () => {
+        const {device, endpoint} = createMockDevice();
+        await assert.rejects(tzFor('import_config').convertSet(endpoint, 'import_config', '{broken', tzMeta(device)), /not valid JSON/);
+        await assert.rejects(tzFor('import_config').convertSet(endpoint, 'import_config', [1], tzMeta(device)), /must be an object/);
+    });
+});
+
+describe('presets', () => {
+    const floorHeating = {
+        ntc1_sensor_type: 'NTC-12K', ntc1_operation_mode: 'OFF when hot, ON when cold', ntc1_relay_auto_temp: 27,
+        ntc1_temp_hysteresis: 1, ntc2_operation_mode: 'No action', water_alarm_relay_action: 'No action',
+        override_option: 'Temperature (NTC) has priority',
+    };
+
+    it('writes the whole bundle in one write', async () => {
+        const {device, endpoint, calls} = createMockDevice({meta: {ntc_sensor_types: {ntc1_sensor_type: 'NTC-10K'}}});
+        const {state} = await tzFor('preset').convertSet(endpoint, 'preset', 'frost_guard', tzMeta(device));
+        const writes = calls.filter((c) => c.op === 'write');
+        assert.equal(writes.length, 1);
+        assert.deepEqual(writes[0].payload, {
+            ntc1OperationSelect: 1, ntc1RelayAutoTemp: 500, ntc1TempHysterisis: 20, ntc2OperationSelect: 0,
+            waterAlarmRelayAction: 0, overrideOption: 2,
+        });
+        assert.equal(state.preset, 'frost_guard');
+        assert.ok(!('import_config_result' in state));
+    });
+
+    it('refuses an NTC preset until the probe type is set', async () => {
+        const {device, endpoint, calls} = createMockDevice({meta: {ntc_sensor_types: {ntc1_sensor_type: 'None'}}});
+        await assert.rejects(tzFor('preset').convertSet(endpoint, 'preset', 'frost_guard', tzMeta(device)),
+            /preset frost_guard needs ntc1_sensor_type set first \(it is None\)/);
+        await assert.rejects(tzFor('preset').convertSet(endpoint, 'preset', 'floor_heating', tzMeta(createMockDevice().device)),
+            /preset floor_heating needs ntc1_sensor_type set first \(not known yet\)/);
+        assert.equal(calls.length, 0);
+    });
+
+    it('keeps a configured probe type', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await tzFor('preset').convertSet(endpoint, 'preset', 'water_heater', tzMeta(device, {}, {ntc1_sensor_type: 'NTC-47K'}));
+        assert.ok(!('resistanceValue1' in calls[0].payload));
+        const leak = await tzFor('preset').convertSet(endpoint, 'preset', 'leak_shutoff', tzMeta(device));
+        assert.equal(calls[1].payload.waterAlarmRelayAction, 3);
+        assert.equal(leak.state.preset, 'leak_shutoff');
+    });
+
+    it('rejects unknown presets and reports refused keys', async () => {
+        const {device, endpoint} = createMockDevice({readOnly: ['overrideOption']});
+        await assert.rejects(tzFor('preset').convertSet(endpoint, 'preset', 'custom', tzMeta(device)), /invalid preset: custom/);
+        await assert.rejects(tzFor('preset').convertSet(endpoint, 'preset', 'leak_shutoff', tzMeta(device)),
+            /preset leak_shutoff only partly applied: override_option error: .*READ_ONLY/);
+    });
+
+    it('publishes the matching preset, or custom once a setting is changed by hand', async () => {
+        const {device, endpoint} = createMockDevice();
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 2700}, {state: floorHeating}),
+            {ntc1_relay_auto_temp: 27, preset: 'floor_heating'});
+        const {state} = await tzFor('ntc1_relay_auto_temp').convertSet(endpoint, 'ntc1_relay_auto_temp', 30,
+            tzMeta(device, {ntc1_relay_auto_temp: 30}, floorHeating));
+        assert.deepEqual(state, {ntc1_relay_auto_temp: 30, preset: 'custom'});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {measuredValue2: 2000}, {state: floorHeating}),
+            {ntc2_temperature: 20, ntc2_probe_status: 'ok', ntc2_min_24h: 20, ntc2_max_24h: 20});
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1RelayAutoTemp: 2700}), {ntc1_relay_auto_temp: 27});
+    });
+});
+
+describe('clear_alarm', () => {
+    it('sends setClear and re-reads the alarm flags', async () => {
+        const {device, endpoint, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: {
+            waterConditionAlarm: 0, ntcConditionAlarm: 0, isExecuteCondition: 0,
+        }}});
+        await tzFor('clear_alarm').convertSet(endpoint, 'clear_alarm', 'clear', tzMeta(device));
+        assert.deepEqual(calls, [
+            {op: 'command', cluster: PRIVATE_CLUSTER, command: 'setClear', payload: {}},
+            {op: 'read', cluster: PRIVATE_CLUSTER, attributes: ['waterConditionAlarm', 'ntcConditionAlarm', 'isExecuteCondition']},
+        ]);
+    });
+});
+
+describe('leak history', () => {
+    afterEach(() => mock.timers.reset());
+    const turnOff = {state: 'ON', water_alarm_relay_action: 'Water alarm: Turn OFF (restore when dry)'};
+
+    it('records start, duration and whether the relay followed water_alarm_relay_action', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date('2026-03-01T08:00:00Z')});
+        const {device} = createMockDevice();
+        const start = convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device, state: turnOff});
+        assert.equal(start.last_leak_start, '2026-03-01T08:00:00.000Z');
+        assert.equal(start.leak_count, 1);
+        convert('genOnOff', {onOff: 0}, {device});
+        mock.timers.tick(90000);
+        const end = convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device, state: {...turnOff, state: 'OFF'}});
+        assert.deepEqual(end, {
+            water_sensor: false, last_leak_start: '2026-03-01T08:00:00.000Z', last_leak_duration: 90,
+            last_leak_relay_acted: true, leak_count: 1, leak_acknowledged: false, control_reason: 'OFF: manual',
+        });
+        assert.equal(device.meta.leak_history.events.length, 1);
+        assert.equal(convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device}).leak_count, undefined);
+    });
+
+    it('reports a relay that stayed in the wrong state', () => {
+        const {device} = createMockDevice();
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device, state: turnOff});
+        assert.equal(convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device}).last_leak_relay_acted, false);
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device, state: {state: 'ON', water_alarm_relay_action: 'No action'}});
+        assert.equal(convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device}).last_leak_relay_acted, null);
+    });
+
+    it('keeps a trace of a leak that only left the latched alarm behind', () => {
+        const {device} = createMockDevice();
+        const alarm = convert(PRIVATE_CLUSTER, {waterConditionAlarm: 1}, {device});
+        assert.equal(alarm.leak_count, 1);
+        assert.equal(alarm.last_leak_duration, null);
+        assert.equal(convert(PRIVATE_CLUSTER, {waterConditionAlarm: 1}, {device}).leak_count, undefined);
+        convert(PRIVATE_CLUSTER, {waterConditionAlarm: 0}, {device});
+        // a leak that was seen is not counted again when its alarm latches
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device});
+        assert.equal(convert(PRIVATE_CLUSTER, {waterConditionAlarm: 1}, {device}).leak_count, undefined);
+        assert.equal(device.meta.leak_history.count, 2);
+    });
+
+    it('is acknowledged by the operator until the next leak', async () => {
+        const {device, endpoint} = createMockDevice();
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device});
+        const {state} = await tzFor('leak_acknowledged').convertSet(endpoint, 'leak_acknowledged', true, tzMeta(device));
+        assert.deepEqual(state, {leak_acknowledged: true});
+        assert.equal(device.meta.leak_history.acknowledged, true);
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device});
+        assert.equal(convert(PRIVATE_CLUSTER, {waterSensorValue: 0}, {device}).leak_acknowledged, false);
+    });
+});
+
+describe('water sensor debounce', () => {
+    afterEach(() => mock.timers.reset());
+    const device = (ieeeAddr) => createMockDevice({ieeeAddr}).device;
+
+    it('publishes a leak only after it persisted for water_sensor_leak_delay', () => {
+        mock.timers.enable({apis: ['setTimeout', 'Date'], now: new Date('2026-03-01T08:00:00Z')});
+        const {device: relay, calls} = createMockDevice({ieeeAddr: '0x00000000000000a1'});
+        const published = [];
+        const options = {water_sensor_leak_delay: 30};
+        const report = (raw) => convert(PRIVATE_CLUSTER, {waterSensorValue: raw}, {device: relay, options, publish: (p) => published.push(p)});
+        assert.equal(report(0), undefined);
+        mock.timers.tick(29000);
+        assert.equal(report(0), undefined);
+        mock.timers.tick(1000);
+        assert.deepEqual(published, [{
+            water_sensor: true, last_leak_start: '2026-03-01T08:00:30.000Z', last_leak_duration: null,
+            last_leak_relay_acted: null, leak_count: 1, leak_acknowledged: false,
+        }]);
+        // the device's own water alarm action is left alone: nothing is sent to it
+        assert.deepEqual(calls, []);
+    });
+
+    it('drops a leak shorter than the delay but keeps the latched alarm as a trace', () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const relay = device('0x00000000000000a2');
+        const published = [];
+        const options = {water_sensor_leak_delay: 30};
+        const report = (data, state = {}) => convert(PRIVATE_CLUSTER, data, {device: relay, options, state, publish: (p) => published.push(p)});
+        report({waterSensorValue: 0});
+        assert.deepEqual(report({waterConditionAlarm: 1}), {water_condition_alarm: true});
+        const dry = report({waterSensorValue: 1}, {water_condition_alarm: true});
+        assert.equal(dry.water_sensor, false);
+        assert.equal(dry.leak_count, 1);
+        assert.equal(dry.last_leak_duration, null);
+        mock.timers.tick(30000);
+        assert.deepEqual(published, []);
+    });
+
+    it('clears only after the sensor stayed dry for water_sensor_dry_delay', () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const relay = device('0x00000000000000a3');
+        const published = [];
+        const options = {water_sensor_dry_delay: 60};
+        const report = (raw) => convert(PRIVATE_CLUSTER, {waterSensorValue: raw}, {
+            device: relay, options, state: {water_sensor: true}, publish: (p) => published.push(p),
+        });
+        assert.equal(report(1), undefined);
+        assert.equal(report(0).water_sensor, true);
+        mock.timers.tick(60000);
+        assert.deepEqual(published, []);
+        report(1);
+        mock.timers.tick(60000);
+        assert.equal(published[0].water_sensor, false);
+    });
+
+    it('recomputes control_reason when the debounced leak clears', () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        const relay = device('0x00000000000000a5');
+        const published = [];
+        const state = {
+            state: 'OFF', water_sensor: true, water_alarm_relay_action: 'Water alarm: Turn OFF (restore when dry)',
+            control_reason: 'OFF: water alarm',
+        };
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device: relay, options: {water_sensor_dry_delay: 60}, state, publish: (p) => published.push(p)});
+        mock.timers.tick(60000);
+        assert.equal(published.length, 1);
+        assert.equal(published[0].water_sensor, false);
+        assert.equal(published[0].control_reason, 'OFF: manual');
+    });
+
+    it('flags flapping when the sensor changes more often than water_sensor_flap_count within the window', () => {
+        mock.timers.enable({apis: ['Date']});
+        const relay = device('0x00000000000000a4');
+        const options = {water_sensor_flap_count: 2, water_sensor_flap_window: 60};
+        let state = {water_sensor: false};
+        const report = (raw) => {
+            const out = convert(PRIVATE_CLUSTER, {waterSensorValue: raw}, {device: relay, options, state});
+            state = {...state, ...out};
+            return out;
+        };
+        report(0);
+        report(1);
+        assert.equal(state.water_sensor_flapping, undefined);
+        assert.equal(report(0).water_sensor_flapping, true);
+        mock.timers.tick(61000);
+        assert.equal(report(0).water_sensor_flapping, false);
+        assert.equal(convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device: relay, state: {}}).water_sensor_flapping, undefined);
+    });
+});
+
+describe('NTC trend', () => {
+    afterEach(() => mock.timers.reset());
+    const ntc1 = (device, celsius, options) => convert('msTemperatureMeasurement', {measuredValue: celsius * 100}, {device, options});
+
+    it('publishes the rate over the last minutes once the readings span a minute', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date('2026-03-01T08:00:00Z')});
+        const {device} = createMockDevice({ieeeAddr: '0x00000000000000b1'});
+        assert.equal(ntc1(device, 20).ntc1_rate, undefined);
+        mock.timers.tick(30000);
+        assert.equal(ntc1(device, 20.5).ntc1_rate, undefined);
+        mock.timers.tick(90000);
+        assert.deepEqual(ntc1(device, 22), {
+            ntc1_temperature: 22, ntc1_probe_status: 'ok', ntc1_rate: 1, ntc1_min_24h: 20, ntc1_max_24h: 22,
+        });
+        // the faulty reading neither publishes a trend nor takes part in the next rate
+        assert.deepEqual(convert('msTemperatureMeasurement', {measuredValue: -32768}, {device}),
+            {ntc1_temperature: null, ntc1_probe_status: 'open_circuit'});
+        mock.timers.tick(60000);
+        assert.equal(ntc1(device, 22).ntc1_rate, undefined);
+    });
+
+    it('keeps the 24 h extremes in device meta', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date('2026-03-01T08:00:00Z')});
+        const {device} = createMockDevice({ieeeAddr: '0x00000000000000b2'});
+        ntc1(device, 15);
+        mock.timers.tick(3600000);
+        ntc1(device, 30);
+        assert.deepEqual(device.meta.ntc_history.ntc1.map(({min, max}) => [min, max]), [[15, 15], [30, 30]]);
+        mock.timers.tick(23 * 3600000);
+        const out = convert(PRIVATE_CLUSTER, {measuredValue2: 2500}, {device});
+        assert.deepEqual([out.ntc2_min_24h, out.ntc2_max_24h], [25, 25]);
+        // the 15 °C hour has dropped out, the 30 °C one not yet
+        const later = ntc1(device, 20);
+        assert.deepEqual([later.ntc1_min_24h, later.ntc1_max_24h], [20, 30]);
+    });
+
+    it('raises rate_of_rise_alarm above rate_of_rise_limit and clears it when the rise slows down', () => {
+        mock.timers.enable({apis: ['Date'], now: new Date('2026-03-01T08:00:00Z')});
+        const {device} = createMockDevice({ieeeAddr: '0x00000000000000b3'});
+        const options = {rate_of_rise_limit: 0.5};
+        assert.equal(ntc1(device, 40).rate_of_rise_alarm, undefined);
+        assert.equal(ntc1(device, 40, options).rate_of_rise_alarm, false);
+        mock.timers.tick(60000);
+        assert.equal(ntc1(device, 41, options).rate_of_rise_alarm, true);
+        mock.timers.tick(300000);
+        assert.equal(ntc1(device, 41, options).rate_of_rise_alarm, false);
+    });
+});
+
+describe('thermostat mode', () => {
+    const options = {thermostat_probe: 'ntc1', thermostat_hysteresis: 2};
+    const thermostatMeta = (device, message, state = {}) => ({...tzMeta(device, message, state), options});
+    const climate = (device, opts) => definition.exposes(device, opts).find((expose) => expose.type === 'climate');
+
+    it('exposes a climate only with thermostat_probe set', () => {
+        const {device} = createMockDevice();
+        assert.equal(climate(device, {}), undefined);
+        assert.deepEqual(climate(device, options).features.map((f) => f.name),
+            ['local_temperature', 'occupied_heating_setpoint', 'system_mode', 'running_state']);
+    });
+
+    it('refreshes setpoint and mode from the probe settings in one read', async () => {
+        const {device, endpoint, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: {ntc1RelayAutoTemp: 2150, ntc1OperationSelect: 1}}});
+        const setpoint = climate(device, options).features.find((f) => f.name === 'occupied_heating_setpoint');
+        assert.ok(setpoint.access & 0b100);
+        const result = await tzFor('occupied_heating_setpoint').convertGet(endpoint, 'occupied_heating_setpoint',
+            thermostatMeta(device, {occupied_heating_setpoint: ''}));
+        assert.deepEqual(result, {state: {
+            ntc1_relay_auto_temp: 21.5, ntc1_operation_mode: 'OFF when hot, ON when cold', occupied_heating_setpoint: 21.5, system_mode: 'heat',
+        }});
+        assert.deepEqual(calls.map((c) => [c.op, c.attributes]), [['read', ['ntc1RelayAutoTemp', 'ntc1OperationSelect']]]);
+        await assert.rejects(tzFor('system_mode').convertGet(endpoint, 'system_mode', tzMeta(device, {system_mode: ''})),
+            /needs the thermostat_probe option/);
+    });
+
+    it('maps a setpoint onto the probe mode, threshold and hysteresis in one write', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const {state} = await tzFor('occupied_heating_setpoint').convertSet(endpoint, 'occupied_heating_setpoint', 21.5,
+            thermostatMeta(device, {occupied_heating_setpoint: 21.5}));
+        assert.deepEqual(calls.map((c) => c.payload), [{ntc1RelayAutoTemp: 2150, ntc1OperationSelect: 1, ntc1TempHysterisis: 20}]);
+        assert.equal(state.occupied_heating_setpoint, 21.5);
+        assert.equal(state.system_mode, 'heat');
+    });
+
+    it('keeps an off thermostat off when only the setpoint changes', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        await tzFor('occupied_heating_setpoint').convertSet(endpoint, 'occupied_heating_setpoint', 20,
+            thermostatMeta(device, {occupied_heating_setpoint: 20}, {system_mode: 'off'}));
+        assert.deepEqual(calls.map((c) => c.payload), [{ntc1RelayAutoTemp: 2000}]);
+    });
+
+    it('turns the probe automation and the relay off with system_mode off', async () => {
+        const {device, endpoint, calls} = createMockDevice();
+        const {state} = await tzFor('system_mode').convertSet(endpoint, 'system_mode', 'off', thermostatMeta(device, {system_mode: 'off'}));
+        assert.deepEqual(calls.map(({op, payload}) => [op, payload]), [['write', {ntc1OperationSelect: 0}], ['command', {}]]);
+        assert.deepEqual([state.system_mode, state.state, state.running_state], ['off', 'OFF', 'idle']);
+        await assert.rejects(tzFor('system_mode').convertSet(endpoint, 'system_mode', 'cool', thermostatMeta(device)), /invalid system_mode: cool/);
+        await assert.rejects(tzFor('system_mode').convertSet(endpoint, 'system_mode', 'heat', tzMeta(device)), /needs the thermostat_probe option/);
+    });
+
+    it('publishes the climate state from the probe reports and the relay', () => {
+        assert.equal(convert('msTemperatureMeasurement', {measuredValue: 1950}, {options}).local_temperature, 19.5);
+        assert.equal(convert('msTemperatureMeasurement', {measuredValue: 1950}).local_temperature, undefined);
+        assert.deepEqual(convert(PRIVATE_CLUSTER, {ntc1OperationSelect: 1, ntc1RelayAutoTemp: 2200}, {options}), {
+            ntc1_operation_mode: 'OFF when hot, ON when cold', ntc1_relay_auto_temp: 22, system_mode: 'heat', occupied_heating_setpoint: 22,
+        });
+        assert.equal(convert('genOnOff', {onOff: 1}, {options}).running_state, 'heat');
+    });
+});
+
+describe('control reason', () => {
+    const floor = {
+        state: 'ON', water_alarm_relay_action: 'No action', override_option: 'No priority',
+        ntc1_sensor_type: 'NTC-10K', ntc1_operation_mode: 'OFF when hot, ON when cold', ntc1_relay_auto_temp: 21,
+        ntc1_temp_hysteresis: 1, ntc2_sensor_type: 'None', ntc2_operation_mode: 'No action',
+    };
+    const reason = (cluster, data, state) => convert(cluster, data, {state})?.control_reason;
+
+    it('explains the NTC rule in force', () => {
+        assert.equal(reason('msTemperatureMeasurement', {measuredValue: 1800}, floor), 'ON: NTC1 18 °C at or below 20 °C');
+        assert.equal(reason('msTemperatureMeasurement', {measuredValue: 2050}, floor), 'ON: NTC1 20.5 °C within the hysteresis (20-21 °C)');
+        assert.equal(reason('genOnOff', {onOff: 0}, {...floor, ntc1_temperature: 21.5}), 'OFF: NTC1 21.5 °C at or above 21 °C');
+    });
+
+    it('names the rule that wins with override_option', () => {
+        const leak = {
+            ...floor, ntc1_temperature: 18, water_alarm_relay_action: 'Water alarm: Turn OFF (stay off)',
+            water_sensor: false, override_option: 'Water alarm has priority',
+        };
+        assert.equal(reason(PRIVATE_CLUSTER, {waterConditionAlarm: 1}, {...leak, state: 'OFF'}),
+            'OFF: water alarm (latched), water has priority over NTC');
+        assert.equal(reason(PRIVATE_CLUSTER, {overrideOption: 2}, {...leak, water_condition_alarm: true}),
+            'ON: NTC1 18 °C at or below 20 °C, NTC has priority over water');
+    });
+
+    it('falls back to manual, and says when a rule disagrees', () => {
+        assert.equal(reason('genOnOff', {onOff: 1}, {}), 'ON: manual');
+        assert.equal(reason('genOnOff', {onOff: 1}, {...floor, ntc1_temperature: 22}),
+            'ON: manual (NTC1 22 °C at or above 21 °C would switch it off)');
+        assert.equal(reason('genOnOff', {onOff: 0}, {overload_tripped: true, overload_reason: 'current 31 A above max_current 30 A'}),
+            'OFF: software overload protection (current 31 A above max_current 30 A)');
+        assert.equal(reason('genOnOff', {onOff: 1}, {control_reason: 'ON: manual'}), undefined);
+    });
+
+    it('warns about contradictory settings', () => {
+        const logger = zhcLogger();
+        const out = convert(PRIVATE_CLUSTER, {ntc2OperationSelect: 1}, {state: {ntc2_sensor_type: 'None'}});
+        assert.equal(out.config_warnings, 'ntc2_operation_mode "OFF when hot, ON when cold" is set but ntc2_sensor_type is None');
+        assert.equal(logger.lines.length, 1);
+        assert.equal(logger.lines[0].level, 'warn');
+        assert.match(logger.lines[0].msg, /contradictory configuration .*ntc2_sensor_type is None/);
+        assert.equal(convert(PRIVATE_CLUSTER, {resistanceValue2: 1}, {state: {...out, ntc2_sensor_type: 'None'}}).config_warnings, '');
+    });
+});
+
+describe('device matching', () => {
+    it('matches the 4512785 model and the RedBox OEM identifiers', () => {
+        assert.deepEqual(definition.zigbeeModel, ['4512785']);
+        assert.deepEqual(definition.fingerprint, [
+            {manufacturerName: 'RedBox', modelID: 'MeterSmartPlug'},
+            {manufacturerName: 'RedBox', modelID: 'MeterSmart Plug'},
+        ]);
+    });
+});
+
+describe('configure', () => {
+    it('registers the private cluster before using it and configures reporting', async () => {
+        const {device, calls} = createMockDevice({responses: {[PRIVATE_CLUSTER]: {measuredValue2: 0, waterSensorValue: 1}}});
+        await definition.configure(device, {ID: 1}, createLogger());
+        const firstPrivate = calls.findIndex((c) => c.cluster === PRIVATE_CLUSTER && c.op !== 'addCustomCluster');
+        assert.ok(calls.findIndex((c) => c.op === 'addCustomCluster') < firstPrivate);
+        const privateReporting = calls.find((c) => c.op === 'configureReporting' && c.cluster === PRIVATE_CLUSTER);
+        assert.deepEqual(privateReporting.items.map((i) => i.attribute), ['measuredValue2', 'waterSensorValue']);
+        assert.ok(calls.some((c) => c.op === 'configureReporting' && c.cluster === 0x0002 && c.items[0].attribute === 0x0010));
+    });
+
+    it('flags an OEM-identified device without the private cluster', async () => {
+        const {device, endpoint} = createMockDevice({responses: {[PRIVATE_CLUSTER]: {waterSensorValue: 1}}});
+        Object.assign(device, {manufacturerName: 'RedBox', modelID: 'MeterSmartPlug'});
+        endpoint.inputClusters = endpoint.inputClusters.filter((id) => id !== 0x04E0);
+        const logger = createLogger();
+        await definition.configure(device, {ID: 1}, logger);
+        assert.ok(logger.lines.some(({level, msg}) => level === 'error' && msg.includes('RedBox/MeterSmartPlug has no 0x04E0 cluster')));
+        assert.equal(device.meta.capabilities.water_sensor, false);
+    });
+
+    it('keeps going when the device rejects calls', async () => {
+        const {device} = createMockDevice({unreachable: [PRIVATE_CLUSTER, 'seMetering', 0x0702]});
+        const logger = createLogger();
+        await definition.configure(device, {ID: 1}, logger);
+        assert.ok(logger.lines.some((l) => l.level === 'warn' && l.msg.includes('private cluster 0x04E0 reporting failed')));
+    });
+});
+
+describe('capability probing', () => {
+    const exposedNames = (device) => definition.exposes(device, {}).map((x) => x.name);
+    const fullResponses = () => ({
+        genOnOff: {0x0000: 1, 0x4001: 0, 0x4002: 0},
+        genDeviceTempCfg: {0x0000: 250, 0x0010: 0, 0x0011: -100, 0x0012: 800},
+        msTemperatureMeasurement: {0x0000: 2150},
+        haElectricalMeasurement: {0x0505: 2300, 0x0508: 1000, 0x050B: 200},
+        seMetering: {0x0000: 100},
+        [PRIVATE_CLUSTER]: Object.fromEntries(Object.values(registeredCluster().attributes).map((a) => [a.name, 0])),
+    });
+
+    it('stores a capability map and hides what the firmware rejects', async () => {
+        const responses = fullResponses();
+        delete responses.genDeviceTempCfg[0x0000];
+        delete responses[PRIVATE_CLUSTER].measuredValue2;
+        const {device} = createMockDevice({responses});
+        await definition.configure(device, {ID: 1}, createLogger());
+        const {capabilities} = device.meta;
+        assert.equal(capabilities.device_temperature, false);
+        assert.equal(capabilities.ntc2_temperature, false);
+        assert.equal(capabilities.voltage, true);
+        assert.equal(capabilities.water_sensor, true);
+        const names = exposedNames(device);
+        assert.ok(!names.includes('device_temperature'));
+        assert.ok(!names.includes('ntc2_temperature'));
+        assert.ok(names.includes('device_temp_high_threshold'));
+        assert.ok(names.includes('energy_today'));
+        assert.ok(names.includes('reprobe'));
+    });
+
+    it('probes the private cluster in batched reads and falls back to single reads when one is rejected', async () => {
+        const privateReads = (calls) => calls.filter((c) => c.op === 'read' && c.cluster === PRIVATE_CLUSTER);
+        const names = Object.values(registeredCluster().attributes).map((a) => a.name);
+        const full = createMockDevice({responses: fullResponses()});
+        await definition.configure(full.device, {ID: 1}, createLogger());
+        assert.ok(privateReads(full.calls).length <= 3);
+        assert.deepEqual(privateReads(full.calls).flatMap((c) => c.attributes).sort(), [...names].sort());
+        assert.ok(Object.keys(full.device.meta.capabilities).filter((key) => key.startsWith('ntc2_')).every((key) => full.device.meta.capabilities[key]));
+
+        const responses = fullResponses();
+        delete responses[PRIVATE_CLUSTER].measuredValue2;
+        const partial = createMockDevice({responses});
+        await definition.configure(partial.device, {ID: 1}, createLogger());
+        assert.ok(privateReads(partial.calls).some((c) => c.attributes.length === 1 && c.attributes[0] === 'measuredValue2'));
+        assert.equal(partial.device.meta.capabilities.ntc2_temperature, false);
+        assert.equal(partial.device.meta.capabilities.water_sensor, true);
+    });
+
+    it('hides NTC temperatures while their sensor type is None', async () => {
+        const responses = fullResponses();
+        responses[PRIVATE_CLUSTER].resistanceValue2 = 1;
+        const {device} = createMockDevice({responses});
+        await definition.configure(device, {ID: 1}, createLogger());
+        assert.deepEqual(device.meta.ntc_sensor_types, {ntc1_sensor_type: 'None', ntc2_sensor_type: 'NTC-10K'});
+        assert.ok(!exposedNames(device).includes('ntc1_temperature'));
+        assert.ok(exposedNames(device).includes('ntc2_temperature'));
+
+        let changed = 0;
+        const msg = {type: 'attributeReport', cluster: PRIVATE_CLUSTER, data: {resistanceValue1: 3}, device, endpoint: device.getEndpoint(1)};
+        const converter = fzFor(PRIVATE_CLUSTER)[0];
+        converter.convert(definition, msg, () => {}, {}, {device, state: {}, deviceExposesChanged: () => changed++});
+        converter.convert(definition, msg, () => {}, {}, {device, state: {}, deviceExposesChanged: () => changed++});
+        assert.equal(changed, 1);
+        assert.ok(exposedNames(device).includes('ntc1_temperature'));
+
+        const {endpoint} = createMockDevice();
+        await tzFor('ntc2_sensor_type').convertSet(endpoint, 'ntc2_sensor_type', 'None',
+            {...tzMeta(device, {ntc2_sensor_type: 'None'}), deviceExposesChanged: () => changed++});
+        assert.equal(changed, 2);
+        assert.ok(!exposedNames(device).includes('ntc2_temperature'));
+    });
+
+    it('leaves a timed out cluster unknown and skips clusters the endpoint lacks', async () => {
+        const {device, endpoint, calls} = createMockDevice({responses: fullResponses(), unreachable: ['seMetering']});
+        endpoint.inputClusters = endpoint.inputClusters.filter((id) => id !== 0x0402);
+        await definition.configure(device, {ID: 1}, createLogger());
+        assert.equal(device.meta.capabilities.ntc1_temperature, false);
+        assert.equal(device.meta.capabilities.energy, undefined);
+        assert.ok(!calls.some((c) => c.op === 'read' && c.cluster === 'msTemperatureMeasurement'));
+        assert.equal(calls.filter((c) => c.op === 'read' && c.cluster === 'seMetering').length, 1);
+        assert.ok(exposedNames(device).includes('energy'));
+        assert.ok(!exposedNames(device).includes('ntc1_temperature'));
+    });
+
+    it('probes again on reprobe and refreshes the exposes', async () => {
+        const {device, endpoint} = createMockDevice({responses: fullResponses(), meta: {capabilities: {voltage: false}}});
+        let changed = 0;
+        await tzFor('reprobe').convertSet(endpoint, 'reprobe', 'probe', {...tzMeta(device), deviceExposesChanged: () => changed++});
+        assert.equal(device.meta.capabilities.voltage, true);
+        assert.equal(changed, 1);
+        assert.ok(exposedNames(device).includes('voltage'));
+    });
+
+    it('does not poll unsupported attributes', async () => {
+        mock.timers.enable({apis: ['setTimeout']});
+        try {
+            const {device, calls} = createMockDevice({ieeeAddr: '0xnontc2', meta: {capabilities: {ntc2_temperature: false}}});
+            await definition.onEvent({type: 'start', data: {device, options: {poll_interval: 10}, state: {}}});
+            mock.timers.tick(10000);
+            await new Promise((resolve) => setImmediate(resolve));
+            const reads = calls.filter((c) => c.op === 'read');
+            assert.ok(reads.length > 0);
+            assert.ok(!reads.some((c) => c.attributes.includes('measuredValue2')));
+            await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xnontc2'}});
+        } finally {
+            mock.timers.reset();
+        }
+    });
+});
+
+describe('reporting options', () => {
+    const reportingCalls = (calls, cluster) => calls.filter((c) => c.op === 'configureReporting' && c.cluster === cluster);
+    const item = (attribute, min, max, change) =>
+        ({attribute, minimumReportInterval: min, maximumReportInterval: max, reportableChange: change});
+
+    it('configures the documented defaults, one call per cluster', async () => {
+        const {device, calls} = createMockDevice({ieeeAddr: '0xrptdefault'});
+        await definition.configure(device, {ID: 1}, createLogger());
+        assert.deepEqual(reportingCalls(calls, 0x0B04).map((c) => c.items), [[
+            item(0x0505, 10, 3600, 1), item(0x0508, 10, 3600, 10), item(0x050B, 10, 3600, 5),
+        ]]);
+        assert.deepEqual(reportingCalls(calls, 0x0702)[0].items, [item(0x0000, 30, 3600, 1)]);
+        assert.deepEqual(reportingCalls(calls, 0x0402)[0].items, [item(0x0000, 15, 600, 10)]);
+    });
+
+    it('applies the device options in configure and ignores values outside the ZCL limits', async () => {
+        const {device, calls} = createMockDevice({ieeeAddr: '0xrptoptions'});
+        const options = {
+            power_report_min: 1, power_report_max: 60, power_report_change: 1,
+            energy_report_max: 70000, ntc1_temperature_report_min: 700, ntc1_temperature_report_change: 0.5,
+            current_report_change: 100,
+        };
+        await definition.onEvent({type: 'start', data: {device, options: {...options, poll_enabled: false, drift_check_interval: 0}, state: {}}});
+        const logger = createLogger();
+        await definition.configure(device, {ID: 1}, logger);
+        assert.deepEqual(reportingCalls(calls, 0x0B04)[0].items, [
+            item(0x0505, 10, 3600, 1), item(0x0508, 10, 3600, 10), item(0x050B, 1, 60, 1),
+        ]);
+        assert.deepEqual(reportingCalls(calls, 0x0702)[0].items, [item(0x0000, 30, 3600, 1)]);
+        assert.deepEqual(reportingCalls(calls, 0x0402)[0].items, [item(0x0000, 15, 600, 10)]);
+        const warnings = logger.lines.filter((l) => l.level === 'warn').map((l) => l.msg).join('\n');
+        assert.match(warning(warnings, 'energy'), /intervals must be whole seconds from 0 to 65535/);
+        assert.match(warning(warnings, 'ntc1_temperature'), /minimum 700 s is above maximum 600 s/);
+        assert.match(warning(warnings, 'current'), /change must be 0 to 65.535 A/);
+        await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xrptoptions'}});
+    });
+
+    it('re-applies only the changed measurements when options change', async () => {
+        const {device, calls} = createMockDevice({ieeeAddr: '0xrptchange'});
+        const from = {poll_enabled: false, drift_check_interval: 0, voltage_report_max: 600};
+        await definition.onEvent({type: 'start', data: {device, options: from, state: {}}});
+        await definition.onEvent({type: 'deviceOptionsChanged', data: {
+            device, from, to: {...from, power_report_change: 50}, options: {...from, power_report_change: 50}, state: {},
+        }});
+        assert.deepEqual(reportingCalls(calls, 0x0B04).map((c) => c.items), [[item(0x050B, 10, 3600, 50)]]);
+        await definition.onEvent({type: 'deviceOptionsChanged', data: {device, options: {...from, power_report_change: 50}, state: {}}});
+        assert.equal(reportingCalls(calls, 0x0B04).length, 1);
+        await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xrptchange'}});
+    });
+
+    it('warns through the zhc logger about options changed at runtime', async () => {
+        const {device} = createMockDevice({ieeeAddr: '0xrptlog'});
+        const from = {poll_enabled: false, drift_check_interval: 0, current_report_change: 20};
+        await definition.onEvent({type: 'start', data: {device, options: from, state: {}}});
+        const logger = zhcLogger();
+        await definition.onEvent({type: 'deviceOptionsChanged', data: {
+            device, from, to: {...from, current_report_change: 100}, options: {...from, current_report_change: 100}, state: {},
+        }});
+        assert.match(warning(logger.lines.filter((l) => l.level === 'warn').map((l) => l.msg).join('\n'), 'current'),
+            /change must be 0 to 65.535 A/);
+        await definition.onEvent({type: 'stop', data: {ieeeAddr: '0xrptlog'}});
+    });
+
+    it('retries attributes alone when a cluster rejects the batch', async () => {
+        const {device, endpoint, calls} = createMockDevice({ieeeAddr: '0xrptretry'});
+        const configureReporting = endpoint.configureReporting;
+        endpoint.configureReporting = async (cluster, items) => {
+            await configureReporting(cluster, items);
+            if (items.some((i) => i.attribute === 0x0508)) throw new Error(`Status 'UNREPORTABLE_ATTRIBUTE'`);
+        };
+        const logger = createLogger();
+        await definition.configure(device, {ID: 1}, logger);
+        assert.deepEqual(reportingCalls(calls, 0x0B04).map((c) => c.items.map((i) => i.attribute)),
+            [[0x0505, 0x0508, 0x050B], [0x0505], [0x0508], [0x050B]]);
+        assert.ok(logger.lines.some((l) => l.msg.includes('cluster 0x0B04 reporting failed for current:')));
+    });
+});
+
+describe('onEvent polling', () => {
+    afterEach(() => mock.timers.reset());
+
+    const flush = async () => {
+        for (let i = 0; i < 5; i++) await new Promise((resolve) => setImmediate(resolve));
+    };
+    const polled = (calls) => calls.filter((c) => c.op === 'read').map((c) => [c.cluster, c.attributes]);
+    const pollResponses = {
+        msTemperatureMeasurement: {0x0000: 2000}, [PRIVATE_CLUSTER]: {measuredValue2: 2100, waterSensorValue: 1},
+        haElectricalMeasurement: {0x050B: 100},
+    };
+    const start = (device, options = {}) => definition.onEvent({type: 'start', data: {device, options, state: {}}});
+    const stop = (device) => definition.onEvent({type: 'stop', data: {ieeeAddr: device.ieeeAddr}});
+
+    it('polls NTC temperatures and water sensor every 60 s by default until stopped', async () => {
+        mock.timers.enable({apis: ['setTimeout', 'Date']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xpoll', responses: pollResponses});
+        await start(device);
+        mock.timers.tick(59000);
+        await flush();
+        assert.deepEqual(polled(calls), []);
+        mock.timers.tick(1000);
+        await flush();
+        assert.deepEqual(polled(calls), [
+            ['msTemperatureMeasurement', [0x0000]],
+            [PRIVATE_CLUSTER, ['measuredValue2', 'waterSensorValue']],
+        ]);
+        await stop(device);
+        mock.timers.tick(600000);
+        await flush();
+        assert.equal(polled(calls).length, 2);
+        assert.equal(globalThis.__namron4512785_poll__.has('0xpoll'), false);
+    });
+
+    it('uses the per-device interval and attribute set, and restarts when options change', async () => {
+        mock.timers.enable({apis: ['setTimeout', 'Date']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xopts', responses: pollResponses});
+        await start(device, {poll_interval: 300, poll_attributes: 'power, water_sensor, bogus'});
+        mock.timers.tick(300000);
+        await flush();
+        assert.deepEqual(polled(calls), [['haElectricalMeasurement', [0x050B]], [PRIVATE_CLUSTER, ['waterSensorValue']]]);
+        await definition.onEvent({type: 'deviceOptionsChanged', data: {device, options: {poll_enabled: false}, state: {}}});
+        mock.timers.tick(3600000);
+        await flush();
+        assert.equal(polled(calls).length, 2);
+        await stop(device);
+    });
+
+    it('skips attributes that already reported within the interval', async () => {
+        mock.timers.enable({apis: ['setTimeout', 'Date']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xskip', responses: pollResponses});
+        await start(device);
+        mock.timers.tick(30000);
+        convert(PRIVATE_CLUSTER, {waterSensorValue: 1}, {device});
+        mock.timers.tick(30000);
+        await flush();
+        assert.deepEqual(polled(calls), [['msTemperatureMeasurement', [0x0000]], [PRIVATE_CLUSTER, ['measuredValue2']]]);
+        await stop(device);
+    });
+
+    it('backs off exponentially while the device is unreachable', async () => {
+        mock.timers.enable({apis: ['setTimeout', 'Date']});
+        const {device, calls} = createMockDevice({ieeeAddr: '0xgone', unreachable: ['msTemperatureMeasurement', PRIVATE_CLUSTER]});
+        await start(device);
+        const pollTimes = [];
+        for (let elapsed = 0; elapsed <= 420; elapsed += 10) {
+            const before = calls.length;
+            mock.timers.tick(10000);
+            await flush();
+            if (calls.length > before) pollTimes.push(elapsed + 10);
+        }
+        assert.deepEqual(pollTimes, [60, 180, 420]);
+        await stop(device);
+    });
+});
+
+describe('weekly schedule', () => {
+    afterEach(() => mock.timers.reset());
+
+    const flush = async () => {
+        for (let i = 0; i < 5; i++) await new Promise((resolve) => setImmediate(resolve));
+    };
+    const written = (calls) => calls.filter((c) => c.op === 'write').map((c) => c.payload);
+    const start = (device, options = {}) => definition.onEvent({type: 'start', data: {device, options, state: {}}});
+    const stop = (device) => definition.onEvent({type: 'stop', data: {ieeeAddr: device.ieeeAddr}});
+    const program = JSON.stringify([
+        {day: 'weekdays', time: '06:00', temperature: 22},
+        {day: 'daily', time: '22:00', temperature: 18},
+    ]);
+    // Monday 05:30 local time
+    const monday = () => mock.timers.enable({apis: ['setTimeout', 'Date'], now: new Date(2026, 2, 2, 5, 30)});
+
+    it('writes the entry in force on start and the next one at its transition', async () => {
+        monday();
+        const {device, calls} = createMockDevice({ieeeAddr: '0xsched1'});
+        await start(device, {schedule: program});
+        assert.equal(device.meta.schedule.slots.length, 12);
+        assert.deepEqual(written(calls), [{ntc1RelayAutoTemp: 1800}]);
+        mock.timers.tick(30 * 60000);
+        await flush();
+        assert.deepEqual(written(calls), [{ntc1RelayAutoTemp: 1800}, {ntc1RelayAutoTemp: 2200}]);
+        assert.deepEqual(device.meta.intended_config, {ntc1_relay_auto_temp: 22});
+        await stop(device);
+    });
+
+    it('registers the private cluster before writing on start', async () => {
+        monday();
+        const {device, calls} = createMockDevice({ieeeAddr: '0xsched6', registered: []});
+        await start(device, {schedule: program});
+        assert.deepEqual(written(calls), [{ntc1RelayAutoTemp: 1800}]);
+        assert.ok(device.customClusters[PRIVATE_CLUSTER]);
+        await stop(device);
+    });
+
+    it('keeps the program in device meta and applies it again after a restart', async () => {
+        monday();
+        const {device, calls} = createMockDevice({ieeeAddr: '0xsched2', meta: {schedule: {probe: 'ntc2', slots: [{minute: 0, temperature: 45}]}}});
+        await start(device);
+        await stop(device);
+        await start(device);
+        assert.deepEqual(written(calls), [{ntc2RelayAutoTemp: 4500}, {ntc2RelayAutoTemp: 4500}]);
+        await stop(device);
+    });
+
+    it('pauses for schedule_override_until and while schedule_enabled is off', async () => {
+        monday();
+        const {device, endpoint, calls} = createMockDevice({ieeeAddr: '0xsched3'});
+        await start(device, {schedule: program});
+        const set = (key, value) => tzFor(key).convertSet(endpoint, key, value, tzMeta(device));
+        assert.deepEqual(await set('schedule_override_until', new Date(2026, 2, 2, 7, 0).toISOString()),
+            {state: {schedule_override_until: new Date(2026, 2, 2, 7, 0).toISOString()}});
+        mock.timers.tick(30 * 60000);
+        await flush();
+        assert.equal(written(calls).length, 1);
+        mock.timers.tick(60 * 60000);
+        await flush();
+        assert.deepEqual(written(calls).at(-1), {ntc1RelayAutoTemp: 2200});
+        assert.equal(device.meta.schedule.override_until, undefined);
+
+        await set('schedule_enabled', false);
+        mock.timers.tick(15 * 3600000);
+        await flush();
+        assert.equal(written(calls).length, 2);
+        await set('schedule_enabled', true);
+        assert.deepEqual(written(calls).at(-1), {ntc1RelayAutoTemp: 1800});
+        await assert.rejects(set('schedule_override_until', 'soon'), /invalid schedule_override_until: soon/);
+        await stop(device);
+    });
+
+    it('retries a failed write after a minute and when the device announces itself', async () => {
+        monday();
+        const {device, calls} = createMockDevice({ieeeAddr: '0xsched5', unreachable: [PRIVATE_CLUSTER]});
+        const logger = zhcLogger();
+        await start(device, {schedule: program});
+        assert.equal(written(calls).length, 1);
+        assert.match(logger.lines.find((l) => l.level === 'warn').msg, /schedule could not set ntc1_relay_auto_temp to 18/);
+        mock.timers.tick(60000);
+        await flush();
+        assert.equal(written(calls).length, 2);
+
+        const {device: online, calls: onlineCalls} = createMockDevice({ieeeAddr: '0xsched5', meta: device.meta});
+        await definition.onEvent({type: 'deviceAnnounce', data: {device: online, options: {}, state: {}}});
+        assert.deepEqual(written(onlineCalls), [{ntc1RelayAutoTemp: 1800}]);
+        await definition.onEvent({type: 'deviceAnnounce', data: {device: online, options: {}, state: {}}});
+        assert.equal(written(onlineCalls).length, 1);
+        await stop(device);
+    });
+
+    it('rejects an invalid program and keeps the stored one', async () => {
+        monday();
+        const logger = zhcLogger();
+        const {device, endpoint} = createMockDevice({ieeeAddr: '0xsched4'});
+        await start(device, {schedule: '[{"day": "someday", "time": "06:00", "temperature": 20}]'});
+        assert.deepEqual(logger.lines.map((l) => l.level), ['error']);
+        assert.match(logger.lines[0].msg, /invalid schedule day: someday/);
+        assert.equal(device.meta.schedule, undefined);
+        await assert.rejects(tzFor('schedule_enabled').convertSet(endpoint, 'schedule_enabled', true, tzMeta(device)),
+            /no weekly program configured/);
+        await stop(device);
+    });
+});
@@ -0,0 +1,4 @@
+// Registers the offline loader: `node --import ./test/register.mjs --test test/`
+import {register} from 'node:module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,87 @@
+// Subset of zigbee-herdsman-converters/lib/exposes: same builder API and serialized field names
+export const access = {STATE: 0b001, SET: 0b010, GET: 0b100, STATE_SET: 0b011, STATE_GET: 0b101, ALL: 0b111};
+
+class Base {
+    constructor(type, name, accessValue) {
+        this.type = type;
+        this.name = name;
+        this.property = name;
+        this.access = accessValue;
+    }
+    withUnit(unit) { this.unit = unit; return this; }
+    withDescription(description) { this.description = description; return this; }
+    withLabel(label) { this.label = label; return this; }
+    withCategory(category) { this.category = category; return this; }
+    withValueMin(value) { this.value_min = value; return this; }
+    withValueMax(value) { this.value_max = value; return this; }
+    withValueStep(value) { this.value_step = value; return this; }
+    withProperty(property) { this.property = property; return this; }
+    withEndpoint(endpoint) { this.endpoint = endpoint; return this; }
+}
+
+class Binary extends Base {
+    constructor(name, accessValue, valueOn, valueOff) {
+        super('binary', name, accessValue);
+        this.value_on = valueOn;
+        this.value_off = valueOff;
+    }
+}
+
+class Enum extends Base {
+    constructor(name, accessValue, values) {
+        super('enum', name, accessValue);
+        this.values = values;
+    }
+}
+
+class Numeric extends Base {
+    constructor(name, accessValue) {
+        super('numeric', name, accessValue);
+    }
+}
+
+class Text extends Base {
+    constructor(name, accessValue) {
+        super('text', name, accessValue);
+    }
+}
+
+class Switch extends Base {
+    constructor() {
+        super('switch', undefined, undefined);
+        this.features = [new Binary('state', access.ALL, 'ON', 'OFF')];
+    }
+}
+
+class Climate extends Base {
+    constructor() {
+        super('climate', undefined, undefined);
+        this.features = [];
+    }
+    withSetpoint(property, min, max, step, accessValue = access.ALL) {
+        this.features.push(new Numeric(property, accessValue).withValueMin(min).withValueMax(max).withValueStep(step)
+            .withUnit('°C').withDescription('Temperature setpoint'));
+        return this;
+    }
+    withLocalTemperature(accessValue = access.STATE_GET, description = 'Current temperature measured on the device') {
+        this.features.push(new Numeric('local_temperature', accessValue).withUnit('°C').withDescription(description));
+        return this;
+    }
+    withSystemMode(modes, accessValue = access.ALL, description = 'Mode of this device') {
+        this.features.push(new Enum('system_mode', accessValue, modes).withDescription(description));
+        return this;
+    }
+    withRunningState(modes, accessValue = access.STATE_GET) {
+        this.features.push(new Enum('running_state', accessValue, modes).withDescription('The current running state'));
+        return this;
+    }
+}
+
+export const presets = {
+    binary: (name, accessValue, valueOn, valueOff) => new Binary(name, accessValue, valueOn, valueOff),
+    enum: (name, accessValue, values) => new Enum(name, accessValue, values),
+    numeric: (name, accessValue) => new Numeric(name, accessValue),
+    text: (name, accessValue) => new Text(name, accessValue),
+    switch: () => new Switch(),
+    climate: () => new Climate(),
+};
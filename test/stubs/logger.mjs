@@ -0,0 +1,7 @@
+// Subset of zigbee-herdsman-converters/lib/logger: the logger Z2M installs with setLogger. Silent until a test
+// installs a createLogger() to collect the messages.
+export let logger = {debug: () => {}, info: () => {}, warning: () => {}, error: () => {}};
+
+export const setLogger = (l) => {
+    logger = l;
+};
@@ -0,0 +1,17 @@
+// Subset of zigbee-herdsman-converters/lib/modernExtend used by the converter
+import {presets as e, access as ea} from './exposes.mjs';
+
+export const onOff = (args = {}) => {
+    const exposes = [e.switch()];
+    if (args.powerOnBehavior) exposes.push(e.enum('power_on_behavior', ea.ALL, ['off', 'on', 'toggle', 'previous']));
+    return {exposes, fromZigbee: [], toZigbee: [], isModernExtend: true};
+};
+
+export const deviceAddCustomCluster = (clusterName, clusterDefinition) => {
+    const addCluster = (device) => device.addCustomCluster(clusterName, clusterDefinition);
+    return {
+        onEvent: [(event) => event.type === 'start' && addCluster(event.data.device)],
+        configure: [addCluster],
+        isModernExtend: true,
+    };
+};
@@ -0,0 +1,22 @@
+// Subset of zigbee-herdsman-converters/lib/reporting: same payloads, sent to the mock endpoint
+const payload = (attribute, min, max, change, overrides = {}) => [{
+    attribute,
+    minimumReportInterval: overrides.min ?? min,
+    maximumReportInterval: overrides.max ?? max,
+    reportableChange: overrides.change ?? change,
+}];
+
+const bind = async (endpoint, target, clusters) => {
+    for (const cluster of clusters) await endpoint.bind(cluster, target);
+};
+const onOff = (endpoint, overrides) => endpoint.configureReporting('genOnOff', payload('onOff', 0, 3600, 0, overrides));
+const temperature = (endpoint, overrides) =>
+    endpoint.configureReporting('msTemperatureMeasurement', payload('measuredValue', 10, 3600, 100, overrides));
+const rmsVoltage = (endpoint, overrides) =>
+    endpoint.configureReporting('haElectricalMeasurement', payload('rmsVoltage', 5, 3600, 1, overrides));
+const rmsCurrent = (endpoint, overrides) =>
+    endpoint.configureReporting('haElectricalMeasurement', payload('rmsCurrent', 5, 3600, 1, overrides));
+const activePower = (endpoint, overrides) =>
+    endpoint.configureReporting('haElectricalMeasurement', payload('activePower', 5, 3600, 1, overrides));
+
+export default {payload, bind, onOff, temperature, rmsVoltage, rmsCurrent, activePower};
@@ -0,0 +1,25 @@
+// Subset of zigbee-herdsman Zcl used by the converter (values match zspec/zcl/definition/enums)
+const DataType = {
+    BOOLEAN: 0x10,
+    BITMAP8: 0x18,
+    UINT8: 0x20,
+    UINT16: 0x21,
+    UINT24: 0x22,
+    UINT32: 0x23,
+    UINT48: 0x25,
+    INT8: 0x28,
+    INT16: 0x29,
+    INT32: 0x2b,
+    ENUM8: 0x30,
+};
+
+// TypeScript-style numeric enum: Status.READ_ONLY === 0x88 and Status[0x88] === 'READ_ONLY'
+const Status = {};
+for (const [name, value] of Object.entries({
+    SUCCESS: 0x00, FAILURE: 0x01, UNSUPPORTED_ATTRIBUTE: 0x86, INVALID_VALUE: 0x87, READ_ONLY: 0x88, INVALID_DATA_TYPE: 0x8D,
+})) {
+    Status[name] = value;
+    Status[value] = name;
+}
+
+export default {DataType, Status};